@@ -22,10 +22,14 @@ class EdenfallGame {
 
     console.log("🌍 Initializing Survival 3d...");
 
+    // World seed chosen on the title screen drives all world generation
+    this.worldSeed = this.titleScreen.worldSeed;
+
     try {
       // Setup scene
       this.scene = new THREE.Scene();
-      this.scene.fog = new THREE.Fog(0x87ceeb, 150, 600);
+      // Thick by the edge of the streamed world, viewDistance chunks out
+      this.scene.fog = new THREE.Fog(0x87ceeb, 200, 600);
 
       // Setup camera
       this.camera = new THREE.PerspectiveCamera(
@@ -64,15 +68,40 @@ class EdenfallGame {
         this.renderer
       );
 
+      // Tweens and delayed effects, ticked by animate()
+      this.animationScheduler = new AnimationScheduler();
+
+      // Every particle effect, drawn in one batch
+      this.particleSystem = new ParticleSystem(this.scene);
+      this.particleSystem.setViewportHeight(
+        this.renderer.getDrawingBufferSize(new THREE.Vector2()).y
+      );
+
       // Setup lighting
       this.setupLighting();
       console.log("✅ Lighting setup complete");
 
       // Initialize game systems in order
       console.log("🏔️ Creating terrain...");
-      this.terrain = new TerrainGenerator(this.scene);
+      this.terrain = new TerrainGenerator(
+        this.scene,
+        this.worldSeed,
+        this.titleScreen.heightmap
+      );
+
+      console.log("🌊 Creating water...");
+      this.waterSystem = new WaterSystem(this.scene, this.terrain);
+
+      console.log("💧 Simulating rivers and lakes...");
+      this.hydrology = new HydrologySystem(
+        this.scene,
+        this.terrain,
+        this.waterSystem
+      );
+      await this.hydrology.generate();
 
-      await this.wait(100);
+      // Starting area must be in place before anything is put on it
+      await this.terrain.generate();
 
       console.log("🎒 Creating inventory...");
       this.inventory = new Inventory();
@@ -94,10 +123,47 @@ class EdenfallGame {
       this.environment = new EnvironmentGenerator(
         this.scene,
         this.terrain,
-        this.resourceSystem
+        this.resourceSystem,
+        this.waterSystem
+      );
+
+      console.log("🌾 Creating ground cover...");
+      this.groundCover = new GroundCoverSystem(
+        this.scene,
+        this.terrain,
+        this.optimizationManager
       );
 
-      await this.wait(500);
+      console.log("🌱 Creating forest system...");
+      this.forestSystem = new ForestSystem(
+        this.scene,
+        this.terrain,
+        this.resourceSystem,
+        this.environment
+      );
+
+      console.log("🔊 Creating audio system...");
+      this.audioSystem = new AudioSystem();
+
+      console.log("🔥 Creating placeable system...");
+      this.placeableSystem = new PlaceableSystem(
+        this.scene,
+        this.terrain,
+        this.inventory
+      );
+
+      console.log("🍂 Creating season system...");
+      this.seasonSystem = new SeasonSystem({
+        daysPerSeason: 4,
+        terrain: this.terrain,
+      });
+
+      console.log("🌦️ Creating weather system...");
+      this.weatherSystem = new WeatherSystem(
+        this.scene,
+        this.camera,
+        this.terrain
+      );
 
       console.log("🎮 Creating player...");
       this.player = new Player(
@@ -110,8 +176,6 @@ class EdenfallGame {
       console.log("📷 Creating camera controller...");
       this.cameraController = new CameraController(this.camera, this.player);
 
-      await this.wait(500);
-
       console.log("🐾 Creating creature system...");
       this.creatureSystem = new CreatureSystem(
         this.scene,
@@ -130,7 +194,15 @@ class EdenfallGame {
 
       // Time system
       this.gameHour = 8;
-      this.timeSpeed = 1 / 30; // 1 in-game hour = 30 real seconds
+      this.baseTimeSpeed = 1 / 30; // 1 in-game hour = 30 real seconds
+      this.timeSpeed = this.baseTimeSpeed;
+      this.gameSpeed = 1;
+
+      // Show world seed
+      const seedEl = document.getElementById("world-seed");
+      if (seedEl) {
+        seedEl.textContent = this.worldSeed;
+      }
 
       // Event listeners
       this.setupEventListeners();
@@ -139,6 +211,7 @@ class EdenfallGame {
       this.animate();
 
       console.log("✅ Game initialized successfully!");
+      console.log(`🌱 World seed: ${this.worldSeed}`);
       console.log("💾 Progress auto-saves to localStorage");
       console.log("⚡ Optimizations enabled");
       console.log(
@@ -208,13 +281,6 @@ class EdenfallGame {
     });
   }
 
-  /**
-   * Utility wait function
-   */
-  wait(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
-  }
-
   /**
    * Setup scene lighting
    */
@@ -239,7 +305,17 @@ class EdenfallGame {
     this.sunLight.shadow.mapSize.height = 2048;
     this.sunLight.shadow.bias = -0.0005;
 
+    // Sun follows the player so shadows work anywhere in the streamed world
+    this.sunOffset = new THREE.Vector3(80, 120, 60);
     this.scene.add(this.sunLight);
+    this.scene.add(this.sunLight.target);
+
+    // Moonlight: soft, cool, no shadows; set each frame by updateTimeOfDay
+    this.moonLight = new THREE.DirectionalLight(0x9db4ff, 0);
+    this.moonOffset = new THREE.Vector3(-80, -120, -60);
+    this.moonCycleDays = 8; // Days from new moon to new moon
+    this.scene.add(this.moonLight);
+    this.scene.add(this.moonLight.target);
 
     // Hemisphere light for ambient color variation
     this.hemiLight = new THREE.HemisphereLight(0x87ceeb, 0x6b5d46, 0.4);
@@ -287,6 +363,9 @@ class EdenfallGame {
     this.camera.aspect = window.innerWidth / window.innerHeight;
     this.camera.updateProjectionMatrix();
     this.renderer.setSize(window.innerWidth, window.innerHeight);
+    this.particleSystem?.setViewportHeight(
+      this.renderer.getDrawingBufferSize(new THREE.Vector2()).y
+    );
   }
 
   /**
@@ -318,6 +397,16 @@ class EdenfallGame {
     }
   }
 
+  /**
+   * Speed up, slow down or stop (0) the clock and scheduled animations
+   * The player, creatures, weather and effects keep running in real time
+   */
+  setGameSpeed(speed) {
+    this.gameSpeed = Math.max(0, speed);
+    this.timeSpeed = this.baseTimeSpeed * this.gameSpeed;
+    this.animationScheduler.timeScale = this.gameSpeed;
+  }
+
   /**
    * Update day/night cycle and lighting
    */
@@ -326,65 +415,77 @@ class EdenfallGame {
 
     if (this.gameHour >= 24) {
       this.gameHour -= 24;
+      if (this.seasonSystem) {
+        this.seasonSystem.advanceDay();
+      }
     }
 
     const hour = Math.floor(this.gameHour);
     const minute = Math.floor((this.gameHour - hour) * 60);
 
+    // The lighting curve below is for a 12-hour day; seasons stretch or squeeze
+    // daylight by mapping the clock onto it
+    let solarHour = this.gameHour;
+    if (this.seasonSystem) {
+      this.seasonSystem.update(this.gameHour);
+      solarHour = this.seasonSystem.getSolarHour(this.gameHour);
+    }
+    const lightHour = Math.floor(solarHour);
+
     let timeOfDayString = "";
     let sunIntensity = 1.0;
     let ambientIntensity = 0.5;
     let skyColor, fogColor;
 
     // Time-based lighting
-    if (hour >= 0 && hour < 5) {
+    if (lightHour >= 0 && lightHour < 5) {
       // Night
       timeOfDayString = "Night";
       sunIntensity = 0.05;
       ambientIntensity = 0.1;
       skyColor = new THREE.Color(0x0a0a1a);
       fogColor = new THREE.Color(0x0a0a1a);
-    } else if (hour >= 5 && hour < 7) {
+    } else if (lightHour >= 5 && lightHour < 7) {
       // Dawn
       timeOfDayString = "Dawn";
-      const t = (this.gameHour - 5) / 2;
+      const t = (solarHour - 5) / 2;
       sunIntensity = 0.05 + t * 0.65;
       ambientIntensity = 0.1 + t * 0.3;
       const nightColor = new THREE.Color(0x0a0a1a);
       const dawnColor = new THREE.Color(0x8b4513);
       skyColor = nightColor.clone().lerp(dawnColor, t);
       fogColor = skyColor.clone();
-    } else if (hour >= 7 && hour < 9) {
+    } else if (lightHour >= 7 && lightHour < 9) {
       // Sunrise
       timeOfDayString = "Sunrise";
-      const t = (this.gameHour - 7) / 2;
+      const t = (solarHour - 7) / 2;
       sunIntensity = 0.7 + t * 0.5;
       ambientIntensity = 0.4 + t * 0.2;
       const dawnColor = new THREE.Color(0x8b4513);
       const dayColor = new THREE.Color(0x87ceeb);
       skyColor = dawnColor.clone().lerp(dayColor, t);
       fogColor = skyColor.clone();
-    } else if (hour >= 9 && hour < 17) {
+    } else if (lightHour >= 9 && lightHour < 17) {
       // Day
       timeOfDayString = "Day";
       sunIntensity = 1.2;
       ambientIntensity = 0.6;
       skyColor = new THREE.Color(0x87ceeb);
       fogColor = new THREE.Color(0xa0d8f0);
-    } else if (hour >= 17 && hour < 19) {
+    } else if (lightHour >= 17 && lightHour < 19) {
       // Sunset
       timeOfDayString = "Sunset";
-      const t = (this.gameHour - 17) / 2;
+      const t = (solarHour - 17) / 2;
       sunIntensity = 1.2 - t * 0.5;
       ambientIntensity = 0.6 - t * 0.3;
       const dayColor = new THREE.Color(0x87ceeb);
       const sunsetColor = new THREE.Color(0xff4500);
       skyColor = dayColor.clone().lerp(sunsetColor, t);
       fogColor = skyColor.clone();
-    } else if (hour >= 19 && hour < 21) {
+    } else if (lightHour >= 19 && lightHour < 21) {
       // Dusk
       timeOfDayString = "Dusk";
-      const t = (this.gameHour - 19) / 2;
+      const t = (solarHour - 19) / 2;
       sunIntensity = 0.7 - t * 0.5;
       ambientIntensity = 0.3 - t * 0.15;
       const sunsetColor = new THREE.Color(0xff4500);
@@ -394,7 +495,7 @@ class EdenfallGame {
     } else {
       // Evening
       timeOfDayString = "Evening";
-      const t = (this.gameHour - 21) / 3;
+      const t = (solarHour - 21) / 3;
       sunIntensity = 0.2 - t * 0.15;
       ambientIntensity = 0.15 - t * 0.05;
       const duskColor = new THREE.Color(0x1a1a3e);
@@ -403,36 +504,96 @@ class EdenfallGame {
       fogColor = skyColor.clone();
     }
 
+    // Clouds grey the sky and hide the sun, lightning lights everything up
+    if (this.weatherSystem) {
+      sunIntensity *= this.weatherSystem.applyToSky(skyColor, fogColor);
+      ambientIntensity += this.weatherSystem.flash;
+    }
+
     // Apply lighting
     this.sunLight.intensity = sunIntensity;
     this.ambientLight.intensity = ambientIntensity;
 
-    // Update sky color (if skybox exists)
-    if (window.skybox) {
-      window.skybox.material.color.copy(skyColor);
-    }
-
     // Update fog color
     this.scene.fog.color.copy(fogColor);
 
-    // Update sun position
-    const sunAngle = ((this.gameHour - 6) / 12) * Math.PI;
+    // Update sun position (relative to the player)
+    const sunAngle = ((solarHour - 6) / 12) * Math.PI;
     const sunDistance = 200;
-    this.sunLight.position.x = Math.cos(sunAngle) * sunDistance;
-    this.sunLight.position.y = Math.sin(sunAngle) * sunDistance;
-    this.sunLight.position.z = 50;
+    this.sunOffset.set(
+      Math.cos(sunAngle) * sunDistance,
+      Math.sin(sunAngle) * sunDistance,
+      50
+    );
+    const center = this.player ? this.player.position : new THREE.Vector3();
+    this.sunLight.target.position.set(center.x, 0, center.z);
+    this.sunLight.position.set(center.x, 0, center.z).add(this.sunOffset);
 
     // Update sun color based on time
-    if (hour >= 5 && hour < 9) {
+    if (lightHour >= 5 && lightHour < 9) {
       this.sunLight.color.setHex(0xffaa66); // Orange morning
-    } else if (hour >= 9 && hour < 17) {
+    } else if (lightHour >= 9 && lightHour < 17) {
       this.sunLight.color.setHex(0xffffee); // Bright white day
-    } else if (hour >= 17 && hour < 21) {
+    } else if (lightHour >= 17 && lightHour < 21) {
       this.sunLight.color.setHex(0xff6644); // Red evening
     } else {
       this.sunLight.color.setHex(0x4466aa); // Blue night
     }
 
+    // Moon: a cycle of moonCycleDays, rising opposite the sun when full
+    const days =
+      (this.seasonSystem ? this.seasonSystem.day : 0) + this.gameHour / 24;
+    const moonPhase = (days / this.moonCycleDays) % 1;
+    const moonAngle = sunAngle - moonPhase * Math.PI * 2;
+    this.moonOffset.set(
+      Math.cos(moonAngle) * sunDistance,
+      Math.sin(moonAngle) * sunDistance,
+      -50
+    );
+
+    // How dark it is (from the sun's height), and how much cloud hides the sky
+    const sunHeight = Math.sin(sunAngle);
+    const darkness = 1 - Math.min(1, Math.max(0, (sunHeight + 0.1) / 0.35));
+    const clouds = this.weatherSystem
+      ? this.weatherSystem.getBlended("cloudiness")
+      : 0;
+    const moonUp = Math.min(1, Math.max(0, this.moonOffset.y / 40));
+    const moonFullness = 0.5 - 0.5 * Math.cos(moonPhase * Math.PI * 2);
+
+    // Cool fill light from the moon at night
+    this.moonLight.intensity =
+      0.35 * moonFullness * moonUp * darkness * (1 - clouds * 0.8);
+    this.moonLight.target.position.set(center.x, 0, center.z);
+    this.moonLight.position.set(center.x, 0, center.z).add(this.moonOffset);
+
+    if (this.environment) {
+      this.environment.updateSky({
+        zenithColor: skyColor
+          .clone()
+          .lerp(new THREE.Color(0x1e4f9c), 0.35 * (1 - darkness)),
+        horizonColor: fogColor,
+        sunDirection: this.sunOffset,
+        sunColor: this.sunLight.color,
+        sunVisibility: 1 - clouds * 0.9,
+        moonDirection: this.moonOffset,
+        moonPhase,
+        moonVisibility: (0.3 + 0.7 * darkness) * (1 - clouds * 0.9),
+        starOpacity: darkness * (1 - clouds),
+        starRotation: sunAngle,
+      });
+    }
+
+    // Water reflects the sky and picks up the sun
+    if (this.waterSystem) {
+      this.waterSystem.setSky(
+        skyColor,
+        this.sunOffset,
+        this.sunLight.color,
+        sunIntensity,
+        ambientIntensity
+      );
+    }
+
     // Update time display
     const hourString = hour.toString().padStart(2, "0");
     const minuteString = minute.toString().padStart(2, "0");
@@ -473,15 +634,62 @@ class EdenfallGame {
     // Limit delta time to prevent physics issues when tab is inactive
     const cappedDeltaTime = Math.min(deltaTime, 0.1);
 
+    // Tweens and delayed effects (shakes, fades, flashes, respawns)
+    if (this.animationScheduler) {
+      this.animationScheduler.update(cappedDeltaTime);
+    }
+
+    // Stream terrain chunks around the player
+    if (this.terrain && this.player) {
+      this.terrain.update(this.player.position);
+    }
+
+    // Keep water and sky around the player
+    if (this.environment && this.player) {
+      this.environment.update(this.player.position);
+    }
+
+    // Animate water waves and follow the shoreline under the player
+    if (this.waterSystem && this.player) {
+      this.waterSystem.update(cappedDeltaTime, this.player.position);
+    }
+
     // Update player and camera
     if (this.player && this.cameraController) {
       this.player.update(cappedDeltaTime, this.camera);
       this.cameraController.update();
     }
 
-    // Update resource particles
+    // Update resource regrowth and the seasonal tree colour
     if (this.resourceSystem) {
-      this.resourceSystem.updateParticles(cappedDeltaTime);
+      this.resourceSystem.update(
+        cappedDeltaTime,
+        cappedDeltaTime * this.timeSpeed
+      );
+      if (this.seasonSystem) {
+        const foliage =
+          this.foliageColor || (this.foliageColor = new THREE.Color());
+        this.resourceSystem.setFoliageColor(
+          this.seasonSystem.getFoliageColor(foliage)
+        );
+      }
+    }
+
+    // Build grass near the player and sway it with the wind
+    if (this.groundCover && this.player) {
+      this.groundCover.update(
+        cappedDeltaTime,
+        this.player.position,
+        this.weatherSystem ? this.weatherSystem.getWind() : null
+      );
+    }
+
+    // Grow saplings and spread forests on the game clock
+    if (this.forestSystem) {
+      this.forestSystem.update(
+        cappedDeltaTime,
+        cappedDeltaTime * this.timeSpeed
+      );
     }
 
     // Update building system
@@ -489,6 +697,16 @@ class EdenfallGame {
       this.buildingSystem.update(this.camera);
     }
 
+    // Update torch/campfire placement and flames
+    if (this.placeableSystem) {
+      this.placeableSystem.update(cappedDeltaTime, this.camera);
+    }
+
+    // Update weather (fog, precipitation, lightning)
+    if (this.weatherSystem) {
+      this.weatherSystem.update(cappedDeltaTime);
+    }
+
     // Update creatures
     if (this.creatureSystem) {
       this.creatureSystem.update(cappedDeltaTime);
@@ -500,6 +718,11 @@ class EdenfallGame {
       this.inventory.checkNearbyItems();
     }
 
+    // Move everything emitted this frame and before
+    if (this.particleSystem) {
+      this.particleSystem.update(cappedDeltaTime);
+    }
+
     // Update HUD (health, hunger, stamina, temperature, minimap, compass)
     if (this.hudSystem) {
       this.hudSystem.update(cappedDeltaTime, this.gameHour, false);
@@ -0,0 +1,136 @@
+/**
+ * Animation Scheduler
+ * Tweens and delayed calls ticked by the game loop, so they stop while the
+ * game does, follow the game speed and can be cancelled with what they animate
+ */
+
+class AnimationScheduler {
+  constructor() {
+    this.animations = [];
+    this.updating = []; // This frame's animations while update() runs them
+    this.timeScale = 1; // Game speed; 0 freezes every scaled animation
+
+    console.log("🎞️ Animation scheduler initialized");
+  }
+
+  /**
+   * Start an animation and return its token
+   * @param {Object} options
+   * @param {Number} options.duration - Seconds (game time unless unscaled)
+   * @param {Number} [options.delay] - Seconds to wait before starting
+   * @param {String|Function} [options.easing] - Name in AnimationScheduler.easings or t => t
+   * @param {Function} [options.onUpdate] - Called each frame with (eased, progress)
+   * @param {Function} [options.onComplete] - Called once at the end, not when cancelled
+   * @param {Object} [options.owner] - What is animated, for cancelOwner()
+   * @param {Boolean} [options.scaled] - False to ignore the game speed
+   */
+  animate(options) {
+    const easing =
+      typeof options.easing === "function"
+        ? options.easing
+        : AnimationScheduler.easings[options.easing || "linear"];
+
+    const animation = {
+      duration: Math.max(0, options.duration || 0),
+      elapsed: -(options.delay || 0),
+      easing: easing || AnimationScheduler.easings.linear,
+      onUpdate: options.onUpdate || null,
+      onComplete: options.onComplete || null,
+      owner: options.owner || null,
+      scaled: options.scaled !== false,
+      active: true,
+    };
+
+    this.animations.push(animation);
+    return animation;
+  }
+
+  /**
+   * Call back after some seconds of game time; returns a token
+   */
+  delay(seconds, callback, owner = null) {
+    return this.animate({
+      duration: 0,
+      delay: seconds,
+      onComplete: callback,
+      owner: owner,
+    });
+  }
+
+  cancel(token) {
+    if (token) token.active = false;
+  }
+
+  /**
+   * Cancel everything animating an object (it was removed or restarted)
+   */
+  cancelOwner(owner) {
+    // Also reaches animations later in the frame when called from a callback
+    for (const animation of [...this.animations, ...this.updating]) {
+      if (animation.owner === owner) animation.active = false;
+    }
+  }
+
+  isActive(token) {
+    return !!token && token.active;
+  }
+
+  update(deltaTime) {
+    // Callbacks may start new animations; those tick from the next frame
+    const animations = (this.updating = this.animations);
+    this.animations = [];
+
+    for (const animation of animations) {
+      if (!animation.active) continue;
+
+      animation.elapsed += animation.scaled
+        ? deltaTime * this.timeScale
+        : deltaTime;
+
+      if (animation.elapsed < 0) {
+        this.animations.push(animation);
+        continue;
+      }
+
+      const progress =
+        animation.duration > 0
+          ? Math.min(1, animation.elapsed / animation.duration)
+          : 1;
+      if (progress >= 1) animation.active = false;
+
+      try {
+        if (animation.onUpdate) {
+          animation.onUpdate(animation.easing(progress), progress);
+        }
+        if (progress >= 1 && animation.onComplete) {
+          animation.onComplete();
+        }
+      } catch (error) {
+        animation.active = false;
+        console.error("❌ Animation failed:", error);
+      }
+
+      if (animation.active) this.animations.push(animation);
+    }
+
+    this.updating = [];
+  }
+
+  getActiveCount() {
+    return this.animations.filter((animation) => animation.active).length;
+  }
+}
+
+// Easing curves: progress 0-1 in, eased 0-1 out
+AnimationScheduler.easings = {
+  linear: (t) => t,
+  easeInQuad: (t) => t * t,
+  easeOutQuad: (t) => t * (2 - t),
+  easeInOutQuad: (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+  easeInCubic: (t) => t * t * t,
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+  easeOutBack: (t) => {
+    const c = 1.70158;
+    return 1 + (c + 1) * Math.pow(t - 1, 3) + c * Math.pow(t - 1, 2);
+  },
+};
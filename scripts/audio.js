@@ -0,0 +1,150 @@
+/**
+ * Audio System
+ * Sound effects synthesised with the Web Audio API (no audio files), starting with footsteps
+ */
+
+class AudioSystem {
+  constructor() {
+    // Browsers only allow audio after the player interacts with the page,
+    // so the context is created on the first key press or click
+    this.context = null;
+    this.masterGain = null;
+    this.noiseBuffer = null;
+    this.volume = 0.4;
+    this.enabled = true;
+
+    // Footstep per surface: a burst of filtered noise
+    this.footsteps = {
+      grass: {
+        filter: "lowpass",
+        frequency: 1400,
+        q: 0.7,
+        duration: 0.12,
+        gain: 0.5,
+      },
+      sand: {
+        filter: "lowpass",
+        frequency: 700,
+        q: 0.5,
+        duration: 0.18,
+        gain: 0.45,
+      },
+      rock: {
+        filter: "bandpass",
+        frequency: 2600,
+        q: 1.5,
+        duration: 0.06,
+        gain: 0.8,
+      },
+      snow: {
+        filter: "highpass",
+        frequency: 1800,
+        q: 0.8,
+        duration: 0.22,
+        gain: 0.35,
+      },
+      water: {
+        filter: "bandpass",
+        frequency: 500,
+        q: 0.8,
+        duration: 0.3,
+        gain: 0.7,
+      },
+      wood: {
+        filter: "bandpass",
+        frequency: 900,
+        q: 2,
+        duration: 0.08,
+        gain: 0.8,
+      },
+    };
+
+    const unlock = () => {
+      this.init();
+      window.removeEventListener("keydown", unlock);
+      window.removeEventListener("mousedown", unlock);
+    };
+    window.addEventListener("keydown", unlock);
+    window.addEventListener("mousedown", unlock);
+
+    console.log("🔊 Audio system initialized");
+  }
+
+  /**
+   * Create the audio context and shared noise buffer
+   */
+  init() {
+    if (this.context) return;
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+      console.warn("⚠️ Web Audio not supported, sound disabled");
+      this.enabled = false;
+      return;
+    }
+
+    this.context = new AudioContextClass();
+    this.masterGain = this.context.createGain();
+    this.masterGain.gain.value = this.volume;
+    this.masterGain.connect(this.context.destination);
+
+    // Half a second of white noise, played from a random offset for variety
+    const length = Math.floor(this.context.sampleRate * 0.5);
+    this.noiseBuffer = this.context.createBuffer(
+      1,
+      length,
+      this.context.sampleRate
+    );
+    const data = this.noiseBuffer.getChannelData(0);
+    for (let i = 0; i < length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+  }
+
+  /**
+   * Play one footstep for a surface type from TerrainGenerator.getSurfaceMaterialAt
+   */
+  playFootstep(surfaceType) {
+    if (!this.enabled || !this.context) return;
+
+    const sound = this.footsteps[surfaceType] || this.footsteps.grass;
+    const now = this.context.currentTime;
+
+    const source = this.context.createBufferSource();
+    source.buffer = this.noiseBuffer;
+    source.playbackRate.value = 0.85 + Math.random() * 0.3;
+
+    const filter = this.context.createBiquadFilter();
+    filter.type = sound.filter;
+    filter.frequency.value = sound.frequency;
+    filter.Q.value = sound.q;
+
+    // Quick attack, exponential decay
+    const gain = this.context.createGain();
+    gain.gain.setValueAtTime(0.0001, now);
+    gain.gain.exponentialRampToValueAtTime(sound.gain, now + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.0001, now + sound.duration);
+
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(this.masterGain);
+
+    source.start(now, Math.random() * 0.2);
+    source.stop(now + sound.duration + 0.05);
+  }
+
+  setVolume(volume) {
+    this.volume = Math.max(0, Math.min(1, volume));
+    if (this.masterGain) {
+      this.masterGain.gain.value = this.volume;
+    }
+  }
+
+  /**
+   * Mute or unmute all sound; returns whether sound is now on
+   */
+  toggle() {
+    this.enabled = !this.enabled;
+    return this.enabled;
+  }
+}
@@ -34,8 +34,12 @@ class BuildingSystem {
     // Structure definitions
     this.structures = this.initializeStructures();
 
-    // Load saved structures
+    // Load saved structures (meshes are built as their chunks stream in)
     this.loadStructures();
+    this.terrain.onChunkLoaded((chunk) =>
+      this.instantiateChunkStructures(chunk)
+    );
+    this.terrain.onChunkUnloaded((chunk) => this.removeChunkStructures(chunk));
 
     this.initUI();
     this.setupInput();
@@ -728,12 +732,12 @@ class BuildingSystem {
     const mouse = new THREE.Vector2(0, 0);
     this.raycaster.setFromCamera(mouse, camera);
 
-    const intersects = this.raycaster.intersectObject(this.terrain.mesh, false);
+    const intersects = this.raycaster.intersectObject(this.terrain.mesh, true);
 
     if (intersects.length > 0) {
       const point = intersects[0].point;
       const normal = intersects[0].face.normal.clone();
-      normal.transformDirection(this.terrain.mesh.matrixWorld);
+      normal.transformDirection(intersects[0].object.matrixWorld);
 
       let finalPosition = new THREE.Vector3(
         point.x,
@@ -843,6 +847,30 @@ class BuildingSystem {
   }
 
   placeStructure(structure, position, rotation) {
+    const structureData = {
+      type: structure.id,
+      position: { x: position.x, y: position.y, z: position.z },
+      rotation: { x: rotation.x, y: rotation.y, z: rotation.z },
+      timestamp: Date.now(),
+    };
+
+    this.createStructureMesh(structure, structureData);
+
+    this.placedStructures.push(structureData);
+    this.saveStructures();
+
+    // Clear the grass under it
+    window.game?.groundCover?.refreshArea(
+      position.x,
+      position.z,
+      Math.max(structure.dimensions.width, structure.dimensions.depth)
+    );
+  }
+
+  /**
+   * Build and add the mesh for a saved structure
+   */
+  createStructureMesh(structure, structureData) {
     const geometry = new THREE.BoxGeometry(
       structure.dimensions.width,
       structure.dimensions.height,
@@ -856,8 +884,16 @@ class BuildingSystem {
     });
 
     const mesh = new THREE.Mesh(geometry, material);
-    mesh.position.copy(position);
-    mesh.rotation.copy(rotation);
+    mesh.position.set(
+      structureData.position.x,
+      structureData.position.y,
+      structureData.position.z
+    );
+    mesh.rotation.set(
+      structureData.rotation.x,
+      structureData.rotation.y,
+      structureData.rotation.z
+    );
     mesh.castShadow = true;
     mesh.receiveShadow = true;
 
@@ -866,19 +902,49 @@ class BuildingSystem {
 
     mesh.userData.isStructure = true;
     mesh.userData.structureType = structure.id;
+    mesh.userData.structureData = structureData;
 
     this.scene.add(mesh);
     this.placedMeshes.push(mesh);
 
-    const structureData = {
-      type: structure.id,
-      position: { x: position.x, y: position.y, z: position.z },
-      rotation: { x: rotation.x, y: rotation.y, z: rotation.z },
-      timestamp: Date.now(),
-    };
+    return mesh;
+  }
 
-    this.placedStructures.push(structureData);
-    this.saveStructures();
+  /**
+   * Build meshes for saved structures inside a newly loaded chunk
+   */
+  instantiateChunkStructures(chunk) {
+    for (const structureData of this.placedStructures) {
+      const key = this.terrain.getChunkKeyAt(
+        structureData.position.x,
+        structureData.position.z
+      );
+      if (key !== chunk.key) continue;
+
+      const alreadyBuilt = this.placedMeshes.some(
+        (mesh) => mesh.userData.structureData === structureData
+      );
+      const structure = this.structures[structureData.type];
+
+      if (!alreadyBuilt && structure) {
+        this.createStructureMesh(structure, structureData);
+      }
+    }
+  }
+
+  /**
+   * Remove meshes of structures inside an unloaded chunk (data stays saved)
+   */
+  removeChunkStructures(chunk) {
+    this.placedMeshes = this.placedMeshes.filter((mesh) => {
+      const key = this.terrain.getChunkKeyAt(mesh.position.x, mesh.position.z);
+      if (key !== chunk.key) return true;
+
+      this.scene.remove(mesh);
+      mesh.geometry.dispose();
+      mesh.material.dispose();
+      return false;
+    });
   }
 
   cancelPlacement() {
@@ -942,51 +1008,14 @@ class BuildingSystem {
       const saveData = JSON.parse(savedData);
       this.placedStructures = saveData.structures || [];
 
-      for (const structureData of this.placedStructures) {
-        const structure = this.structures[structureData.type];
-        if (!structure) continue;
-
-        const position = new THREE.Vector3(
-          structureData.position.x,
-          structureData.position.y,
-          structureData.position.z
-        );
-
-        const rotation = new THREE.Euler(
-          structureData.rotation.x,
-          structureData.rotation.y,
-          structureData.rotation.z
-        );
-
-        const geometry = new THREE.BoxGeometry(
-          structure.dimensions.width,
-          structure.dimensions.height,
-          structure.dimensions.depth
-        );
-
-        const material = new THREE.MeshStandardMaterial({
-          color: structure.color,
-          roughness: 0.8,
-          metalness: 0.2,
-        });
-
-        const mesh = new THREE.Mesh(geometry, material);
-        mesh.position.copy(position);
-        mesh.rotation.copy(rotation);
-        mesh.castShadow = true;
-        mesh.receiveShadow = true;
-
-        mesh.updateMatrix();
-        mesh.updateMatrixWorld(true);
-
-        mesh.userData.isStructure = true;
-        mesh.userData.structureType = structure.id;
-
-        this.scene.add(mesh);
-        this.placedMeshes.push(mesh);
+      // Terrain is already streamed in around spawn
+      for (const chunk of this.terrain.getLoadedChunks()) {
+        this.instantiateChunkStructures(chunk);
       }
 
-      console.log(`📂 Loaded ${this.placedStructures.length} structures`);
+      console.log(
+        `📂 Loaded ${this.placedStructures.length} structures (${this.placedMeshes.length} in loaded chunks)`
+      );
     } catch (error) {
       console.error("❌ Failed to load structures:", error);
     }
@@ -1004,6 +1033,7 @@ class BuildingSystem {
     this.placedStructures = [];
 
     localStorage.removeItem("Survival3d_structures");
+    window.game?.groundCover?.clear();
 
     console.log("🗑️ All structures cleared");
   }
@@ -30,7 +30,7 @@ class CameraController {
 
   update() {
     this.camera.position.copy(this.player.position);
-    this.camera.position.y += this.player.playerHeight * 0.8;
+    this.camera.position.y += this.player.eyeHeight;
     this.camera.rotation.order = "YXZ";
     this.camera.rotation.y = this.yaw;
     this.camera.rotation.x = this.pitch;
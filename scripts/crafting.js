@@ -7,7 +7,9 @@ class CraftingSystem {
   constructor(inventory) {
     this.inventory = inventory;
     this.isMenuOpen = false;
+    this.stationRange = 5; // How close to a campfire smelting needs
 
+    // station: a placeable that must be nearby to craft (e.g. "campfire")
     // Define crafting recipes
     this.recipes = [
       {
@@ -53,6 +55,18 @@ class CraftingSystem {
         ],
         result: { type: "stone_pickaxe", amount: 1 },
       },
+      {
+        id: "shovel",
+        name: "Shovel",
+        icon: "🪏",
+        description: "Dig with [R], raise the ground with [Shift+R].",
+        requirements: [
+          { type: "wood", amount: 4 },
+          { type: "stone", amount: 3 },
+          { type: "rope", amount: 1 },
+        ],
+        result: { type: "shovel", amount: 1 },
+      },
       {
         id: "torch",
         name: "Torch",
@@ -75,6 +89,78 @@ class CraftingSystem {
         ],
         result: { type: "campfire", amount: 1 },
       },
+      {
+        id: "copper_ingot",
+        name: "Copper Ingot",
+        icon: "🥉",
+        description: "Smelt copper ore over a campfire.",
+        requirements: [
+          { type: "copper_ore", amount: 2 },
+          { type: "coal", amount: 1 },
+        ],
+        station: "campfire",
+        result: { type: "copper_ingot", amount: 1 },
+      },
+      {
+        id: "iron_ingot",
+        name: "Iron Ingot",
+        icon: "🥈",
+        description: "Smelt iron ore over a campfire. Needs a hotter fire.",
+        requirements: [
+          { type: "iron_ore", amount: 2 },
+          { type: "coal", amount: 2 },
+        ],
+        station: "campfire",
+        result: { type: "iron_ingot", amount: 1 },
+      },
+      {
+        id: "copper_axe",
+        name: "Copper Axe",
+        icon: "🪓",
+        description: "The first metal axe. Faster than stone.",
+        requirements: [
+          { type: "wood", amount: 3 },
+          { type: "copper_ingot", amount: 3 },
+          { type: "rope", amount: 2 },
+        ],
+        result: { type: "copper_axe", amount: 1 },
+      },
+      {
+        id: "copper_pickaxe",
+        name: "Copper Pickaxe",
+        icon: "⚒️",
+        description: "The first metal pickaxe. Mines ore quickly.",
+        requirements: [
+          { type: "wood", amount: 3 },
+          { type: "copper_ingot", amount: 3 },
+          { type: "rope", amount: 2 },
+        ],
+        result: { type: "copper_pickaxe", amount: 1 },
+      },
+      {
+        id: "iron_axe",
+        name: "Iron Axe",
+        icon: "🪓",
+        description: "Fells trees in a few swings.",
+        requirements: [
+          { type: "wood", amount: 3 },
+          { type: "iron_ingot", amount: 3 },
+          { type: "rope", amount: 2 },
+        ],
+        result: { type: "iron_axe", amount: 1 },
+      },
+      {
+        id: "iron_pickaxe",
+        name: "Iron Pickaxe",
+        icon: "⚒️",
+        description: "The fastest way through rock and ore.",
+        requirements: [
+          { type: "wood", amount: 3 },
+          { type: "iron_ingot", amount: 3 },
+          { type: "rope", amount: 2 },
+        ],
+        result: { type: "iron_pickaxe", amount: 1 },
+      },
     ];
 
     this.initUI();
@@ -189,6 +275,17 @@ class CraftingSystem {
             `;
     }
 
+    if (recipe.station) {
+      const atStation = this.isAtStation(recipe);
+      const station = this.inventory.itemData[recipe.station];
+      requirementsHTML += `
+                <div class="requirement ${atStation ? "has" : "needs"}">
+                    <span class="req-icon">${station.icon}</span>
+                    <span class="req-text">Near ${station.name}</span>
+                </div>
+            `;
+    }
+
     el.innerHTML = `
             <div class="recipe-icon">${recipe.icon}</div>
             <div class="recipe-info">
@@ -200,7 +297,7 @@ class CraftingSystem {
                 <button class="craft-button ${canCraft ? "" : "disabled"}" 
                         data-recipe="${recipe.id}"
                         ${canCraft ? "" : "disabled"}>
-                    ${canCraft ? "✓ Craft" : "✗ Need Materials"}
+                    ${canCraft ? "✓ Craft" : this.getMissingText(recipe)}
                 </button>
             </div>
         `;
@@ -217,6 +314,10 @@ class CraftingSystem {
   }
 
   canCraftRecipe(recipe) {
+    return this.hasMaterials(recipe) && this.isAtStation(recipe);
+  }
+
+  hasMaterials(recipe) {
     for (const req of recipe.requirements) {
       if (!this.inventory.hasItem(req.type, req.amount)) {
         return false;
@@ -225,10 +326,35 @@ class CraftingSystem {
     return true;
   }
 
+  /**
+   * Whether the player is close enough to the recipe's station (if it has one)
+   */
+  isAtStation(recipe) {
+    if (!recipe.station) return true;
+
+    const placeables = window.game?.placeableSystem;
+    const player = window.game?.player;
+    if (!placeables || !player) return false;
+
+    return placeables.isNearPlaceable(
+      recipe.station,
+      player.position,
+      this.stationRange
+    );
+  }
+
+  getMissingText(recipe) {
+    if (!this.hasMaterials(recipe)) return "✗ Need Materials";
+    return `✗ Need ${this.inventory.itemData[recipe.station].name}`;
+  }
+
   craftRecipe(recipe) {
     // Double check we can craft
     if (!this.canCraftRecipe(recipe)) {
-      this.showMessage("❌ Not enough materials!", "error");
+      const reason = this.hasMaterials(recipe)
+        ? `Must be near a ${this.inventory.itemData[recipe.station].name}!`
+        : "Not enough materials!";
+      this.showMessage(`❌ ${reason}`, "error");
       return;
     }
 
@@ -8,11 +8,14 @@ class CreatureSystem {
     this.scene = scene;
     this.terrain = terrain;
     this.player = player;
+    this.random = terrain.createRandom("creatures");
 
     this.creatures = [];
     this.maxCreatures = 15;
-    this.spawnRadius = 80; // Distance from center to spawn
-    this.despawnRadius = 100; // Remove if too far
+    this.minSpawnDistance = 20; // Never spawn right next to the player
+    // Nor further out than the 7×7 chunks around the player that hold
+    // resource nodes (EnvironmentGenerator.nodeDistance)
+    this.maxSpawnDistance = 3 * terrain.chunkSize;
 
     // Define creature species
     this.species = this.initializeSpecies();
@@ -50,6 +53,7 @@ class CreatureSystem {
         fleeSpeed: 10,
         dropItems: [{ type: "meat", amount: 1, chance: 1.0 }],
         spawnWeight: 30, // Higher = more common
+        biomes: ["grassland", "forest", "beach", "desert", "tundra"], // Where this species lives
       },
       {
         id: "deer",
@@ -72,6 +76,7 @@ class CreatureSystem {
           { type: "hide", amount: 1, chance: 0.8 },
         ],
         spawnWeight: 20,
+        biomes: ["grassland", "forest", "swamp"],
       },
       {
         id: "wolf",
@@ -94,6 +99,7 @@ class CreatureSystem {
           { type: "fang", amount: 1, chance: 0.5 },
         ],
         spawnWeight: 15,
+        biomes: ["forest", "tundra"],
       },
       {
         id: "boar",
@@ -116,6 +122,8 @@ class CreatureSystem {
           { type: "hide", amount: 2, chance: 0.7 },
         ],
         spawnWeight: 18,
+        biomes: ["forest", "grassland", "swamp"],
+        seasons: ["spring", "summer", "autumn"], // Shelters through winter
       },
       {
         id: "bear",
@@ -139,6 +147,8 @@ class CreatureSystem {
           { type: "fang", amount: 2, chance: 0.8 },
         ],
         spawnWeight: 8,
+        biomes: ["forest", "tundra"],
+        seasons: ["spring", "summer", "autumn"], // Hibernates
       },
     ];
   }
@@ -154,16 +164,34 @@ class CreatureSystem {
   }
 
   /**
-   * Spawn a random creature based on spawn weights
+   * Spawn a random creature based on spawn weights and the local biome
    */
   spawnRandomCreature() {
+    let spawnPos = null;
+    let candidates = [];
+    let attempts = 0;
+
+    // Find a spawn position whose biome has wildlife
+    while (candidates.length === 0 && attempts < 5) {
+      attempts++;
+      spawnPos = this.findSpawnPosition();
+      if (!spawnPos) return;
+
+      // Only species that live in this biome
+      const biome = this.terrain.getBiomeAt(spawnPos.x, spawnPos.z);
+      candidates = this.species.filter(
+        (s) => s.biomes.includes(biome.id) && this.isSpeciesActive(s)
+      );
+    }
+    if (candidates.length === 0) return;
+
     // Calculate total weight
-    const totalWeight = this.species.reduce((sum, s) => sum + s.spawnWeight, 0);
-    let random = Math.random() * totalWeight;
+    const totalWeight = candidates.reduce((sum, s) => sum + s.spawnWeight, 0);
+    let random = this.random.next() * totalWeight;
 
     // Select species based on weight
-    let selectedSpecies = this.species[0];
-    for (const species of this.species) {
+    let selectedSpecies = candidates[0];
+    for (const species of candidates) {
       random -= species.spawnWeight;
       if (random <= 0) {
         selectedSpecies = species;
@@ -171,28 +199,41 @@ class CreatureSystem {
       }
     }
 
-    // Find valid spawn position
-    const spawnPos = this.findSpawnPosition();
-    if (spawnPos) {
-      this.spawnCreature(selectedSpecies, spawnPos);
-    }
+    this.spawnCreature(selectedSpecies, spawnPos);
+  }
+
+  /**
+   * Species without a seasons list are around all year
+   */
+  isSpeciesActive(species) {
+    const seasons = window.game?.seasonSystem;
+    if (!seasons || !species.seasons) return true;
+    return species.seasons.includes(seasons.getSeason().id);
   }
 
   /**
-   * Find a valid spawn position on terrain
+   * Find a valid spawn position on resident terrain, in the ring between
+   * minSpawnDistance and maxSpawnDistance around the player
    */
   findSpawnPosition() {
+    const min = this.minSpawnDistance;
+    const max = this.maxSpawnDistance;
+
     for (let attempts = 0; attempts < 20; attempts++) {
-      const angle = Math.random() * Math.PI * 2;
-      const distance = 20 + Math.random() * this.spawnRadius;
+      // Uniform over the ring's area, not bunched towards its inner edge
+      const angle = this.random.next() * Math.PI * 2;
+      const distance = Math.sqrt(
+        min * min + this.random.next() * (max * max - min * min)
+      );
+      const x = this.player.position.x + Math.cos(angle) * distance;
+      const z = this.player.position.z + Math.sin(angle) * distance;
 
-      const x = Math.cos(angle) * distance;
-      const z = Math.sin(angle) * distance;
+      if (!this.terrain.isChunkLoadedAt(x, z)) continue;
 
       const height = this.terrain.getHeightAt(x, z);
 
-      // Check if valid (on land, not too steep)
-      if (height > -1 && height < 15) {
+      // Check if valid (on land, not too high)
+      if (!this.terrain.isWaterAt(x, z) && height < 15) {
         return new THREE.Vector3(x, height, z);
       }
     }
@@ -344,6 +385,7 @@ class CreatureSystem {
 
     creature.health -= damage;
     this.updateHealthBar(creature);
+    this.spawnHitParticles(creature);
 
     console.log(
       `💥 ${creature.speciesData.emoji} ${creature.speciesData.name} took ${damage} damage (${creature.health}/${creature.maxHealth} HP)`
@@ -371,6 +413,19 @@ class CreatureSystem {
     }
   }
 
+  /**
+   * Spray of red where the creature was hit
+   */
+  spawnHitParticles(creature) {
+    const particles = window.game?.particleSystem;
+    if (!particles) return;
+
+    const origin = this.hitOrigin || (this.hitOrigin = new THREE.Vector3());
+    origin.copy(creature.position);
+    origin.y += 0.8;
+    particles.emit("hit", origin, 12);
+  }
+
   /**
    * Kill creature and drop loot
    */
@@ -386,29 +441,46 @@ class CreatureSystem {
     this.dropLoot(creature);
 
     // Remove mesh after animation
+    const animations = window.game?.animationScheduler;
+    if (creature.mesh && animations) {
+      const startY = creature.mesh.position.y;
+      const startScale = creature.mesh.scale.x;
+
+      animations.animate({
+        duration: 0.75,
+        easing: "easeInQuad",
+        owner: creature,
+        onUpdate: (t) => {
+          creature.mesh.position.y = startY - t * 0.9;
+          creature.mesh.scale.setScalar(startScale * (1 - t * 0.9));
+        },
+        onComplete: () => this.removeDeadCreature(creature),
+      });
+    } else {
+      this.removeDeadCreature(creature);
+    }
+  }
+
+  /**
+   * Take a dead creature out of the world and bring a new one in later
+   */
+  removeDeadCreature(creature) {
     if (creature.mesh) {
-      const fadeOut = () => {
-        creature.mesh.position.y -= 0.02;
-        creature.mesh.scale.multiplyScalar(0.95);
-
-        if (creature.mesh.scale.x > 0.1) {
-          requestAnimationFrame(fadeOut);
-        } else {
-          this.scene.remove(creature.mesh);
-
-          // Remove from creatures array
-          const index = this.creatures.indexOf(creature);
-          if (index > -1) {
-            this.creatures.splice(index, 1);
-          }
+      this.scene.remove(creature.mesh);
+    }
 
-          // Respawn new creature
-          setTimeout(() => {
-            this.spawnRandomCreature();
-          }, 10000);
-        }
-      };
-      fadeOut();
+    // Remove from creatures array
+    const index = this.creatures.indexOf(creature);
+    if (index > -1) {
+      this.creatures.splice(index, 1);
+    }
+
+    // Respawn new creature
+    const animations = window.game?.animationScheduler;
+    if (animations) {
+      animations.delay(10, () => this.spawnRandomCreature(), this);
+    } else {
+      this.spawnRandomCreature();
     }
   }
 
@@ -476,13 +548,50 @@ class CreatureSystem {
    * Update all creatures
    */
   update(deltaTime) {
-    for (const creature of this.creatures) {
+    for (let i = this.creatures.length - 1; i >= 0; i--) {
+      const creature = this.creatures[i];
       if (creature.isDead) continue;
 
+      // Creatures only live on resident terrain
+      if (
+        !this.terrain.isChunkLoadedAt(creature.position.x, creature.position.z)
+      ) {
+        this.despawnCreature(creature);
+        continue;
+      }
+
+      // Out of season (hibernating) - leave once the player isn't watching
+      if (
+        !this.isSpeciesActive(creature.speciesData) &&
+        creature.position.distanceTo(this.player.position) >
+          this.minSpawnDistance * 2
+      ) {
+        this.despawnCreature(creature);
+        continue;
+      }
+
       this.updateCreature(creature, deltaTime);
     }
   }
 
+  /**
+   * Remove a creature whose chunk was unloaded and replace it nearer the player
+   */
+  despawnCreature(creature) {
+    window.game?.animationScheduler?.cancelOwner(creature);
+
+    if (creature.mesh) {
+      this.scene.remove(creature.mesh);
+    }
+
+    const index = this.creatures.indexOf(creature);
+    if (index > -1) {
+      this.creatures.splice(index, 1);
+    }
+
+    this.spawnRandomCreature();
+  }
+
   /**
    * Update individual creature AI
    */
@@ -673,15 +782,24 @@ class CreatureSystem {
   }
 
   showAttackEffect(creature) {
-    // Flash creature red
-    if (creature.mesh) {
-      const originalColor = creature.mesh.children[0].material.color.getHex();
-      creature.mesh.children[0].material.color.setHex(0xff0000);
-
-      setTimeout(() => {
-        creature.mesh.children[0].material.color.setHex(originalColor);
-      }, 100);
+    const animations = window.game?.animationScheduler;
+    if (!creature.mesh || !animations) return;
+
+    // Flash creature red; a new attack restarts the flash instead of
+    // remembering red as the colour to go back to
+    const material = creature.mesh.children[0].material;
+    if (animations.isActive(creature.flash)) {
+      animations.cancel(creature.flash);
+    } else {
+      creature.flashColor = material.color.getHex();
     }
+
+    material.color.setHex(0xff0000);
+    creature.flash = animations.delay(
+      0.1,
+      () => material.color.setHex(creature.flashColor),
+      creature
+    );
   }
 
   applyMovement(creature, deltaTime) {
@@ -1,39 +1,77 @@
 /**
  * Environment Generator
- * Creates trees, rocks, water, and other natural elements
+ * Creates trees, rocks, the sea, and other natural elements
  */
 
 class EnvironmentGenerator {
-  constructor(scene, terrain, resourceSystem) {
+  constructor(scene, terrain, resourceSystem, waterSystem) {
     this.scene = scene;
     this.terrain = terrain;
     this.resourceSystem = resourceSystem;
-    this.waterLevel = -2.5;
+    this.waterSystem = waterSystem;
     this.objects = [];
-    this.raycaster = new THREE.Raycaster();
+
+    // Resource nodes per chunk, placed by the generation worker as chunks stream in
+    // Only chunks near the player get nodes; distant low-detail chunks stay bare
+    this.chunkNodes = new Map();
+    this.nodeDistance = 3;
+    this.nodeCenter = null;
 
     this.generateSkybox();
     this.generateWater();
-
-    // Wait longer for terrain to be fully ready
-    setTimeout(() => {
-      this.generateResourceNodes();
-    }, 800);
+    this.generateResourceNodes();
 
     console.log("🌲 Environment generator initialized");
   }
 
+  /**
+   * Sky dome: horizon-to-zenith gradient, sun disc, phased moon and stars
+   * Driven each frame by EdenfallGame.updateTimeOfDay through updateSky
+   */
   generateSkybox() {
     const skyGeometry = new THREE.SphereGeometry(800, 60, 40);
-    const skyMaterial = new THREE.MeshBasicMaterial({
-      color: 0x87ceeb,
+    const skyMaterial = new THREE.ShaderMaterial({
+      uniforms: {
+        zenithColor: { value: new THREE.Color(0x5fa8d8) },
+        horizonColor: { value: new THREE.Color(0xa0d8f0) },
+        sunDirection: { value: new THREE.Vector3(0, 1, 0) },
+        sunColor: { value: new THREE.Color(0xffffee) },
+        sunVisibility: { value: 1 },
+        moonDirection: { value: new THREE.Vector3(0, -1, 0) },
+        moonPhase: { value: 0.5 },
+        moonVisibility: { value: 0 },
+        starOpacity: { value: 0 },
+        starRotation: { value: 0 },
+        time: { value: 0 },
+      },
+      vertexShader: EnvironmentGenerator.skyVertexShader,
+      fragmentShader: EnvironmentGenerator.skyFragmentShader,
       side: THREE.BackSide,
-      fog: false,
+      depthWrite: false,
     });
     this.skybox = new THREE.Mesh(skyGeometry, skyMaterial);
     this.skybox.name = "skybox";
+    this.skybox.renderOrder = -1;
     this.scene.add(this.skybox);
-    window.skybox = this.skybox;
+  }
+
+  /**
+   * Set the sky colours, sun, moon and stars
+   * Directions point from the player towards the sun and moon
+   */
+  updateSky(sky) {
+    const uniforms = this.skybox.material.uniforms;
+    uniforms.zenithColor.value.copy(sky.zenithColor);
+    uniforms.horizonColor.value.copy(sky.horizonColor);
+    uniforms.sunDirection.value.copy(sky.sunDirection).normalize();
+    uniforms.sunColor.value.copy(sky.sunColor);
+    uniforms.sunVisibility.value = sky.sunVisibility;
+    uniforms.moonDirection.value.copy(sky.moonDirection).normalize();
+    uniforms.moonPhase.value = sky.moonPhase;
+    uniforms.moonVisibility.value = sky.moonVisibility;
+    uniforms.starOpacity.value = sky.starOpacity;
+    uniforms.starRotation.value = sky.starRotation;
+    uniforms.time.value = performance.now() * 0.001;
   }
 
   generateResourceNodes() {
@@ -46,208 +84,238 @@ class EnvironmentGenerator {
 
     console.log("✅ Terrain mesh found:", this.terrain.mesh.name);
 
-    // Test raycast at origin
+    // Test height query at origin
     const testInfo = this.getTerrainInfo(0, 0);
-    if (testInfo) {
-      console.log(
-        "✅ Raycast test successful at origin: height =",
-        testInfo.height.toFixed(2)
-      );
-    } else {
-      console.error("❌ Raycast test failed at origin!");
+    console.log(
+      "✅ Height query at origin: height =",
+      testInfo.height.toFixed(2)
+    );
+
+    // Populate resident chunks, then follow the streamed chunk set
+    for (const chunk of this.terrain.getLoadedChunks()) {
+      this.populateChunk(chunk);
     }
+    this.terrain.onChunkLoaded((chunk) => this.populateChunk(chunk));
+    this.terrain.onChunkUnloaded((chunk) => this.clearChunk(chunk));
 
-    this.generateTrees();
-    this.generateRocks();
-    this.generatePlants();
+    console.log(`🌲 Resource nodes placed in ${this.chunkNodes.size} chunks`);
   }
 
-  // Raycast ONLY against terrain mesh
-  getTerrainInfo(x, z) {
-    if (!this.terrain.mesh) {
-      return null;
+  /**
+   * Create the resource nodes the worker placed in a newly loaded chunk
+   */
+  populateChunk(chunk) {
+    if (this.chunkNodes.has(chunk.key)) return;
+    if (this.terrain.getChunkDistance(chunk.x, chunk.z) > this.nodeDistance) {
+      return;
     }
 
-    // Cast ray from high above
-    const rayOrigin = new THREE.Vector3(x, 1000, z);
-    const rayDirection = new THREE.Vector3(0, -1, 0);
+    const types = WorldGenerator.resourceTypes;
+    const placements = chunk.resources;
+    const nodes = [];
 
-    this.raycaster.set(rayOrigin, rayDirection);
+    for (let i = 0; i < placements.length; i += 4) {
+      const node = this.resourceSystem.createResourceNode(
+        types[placements[i]],
+        placements[i + 1],
+        placements[i + 2],
+        placements[i + 3]
+      );
+      node.chunkKey = chunk.key;
+      nodes.push(node);
+    }
 
-    // Create array with ONLY the terrain mesh
-    const terrainOnly = [this.terrain.mesh];
+    this.chunkNodes.set(chunk.key, nodes);
+  }
 
-    // Raycast against terrain only, no children
-    const intersects = this.raycaster.intersectObjects(terrainOnly, false);
+  /**
+   * Remove the resource nodes of an unloaded chunk
+   */
+  clearChunk(chunk) {
+    const nodes = this.chunkNodes.get(chunk.key);
+    if (!nodes) return;
 
-    if (intersects.length > 0) {
-      const hit = intersects[0];
+    for (const node of nodes) {
+      this.resourceSystem.removeResourceNode(node);
+    }
 
-      // Transform normal to world space (account for rotation)
-      const worldNormal = hit.face.normal.clone();
-      worldNormal.transformDirection(this.terrain.mesh.matrixWorld);
+    this.chunkNodes.delete(chunk.key);
+  }
 
-      return {
-        height: hit.point.y,
-        normal: worldNormal,
-        point: hit.point.clone(),
-      };
+  /**
+   * Add nodes to chunks the player has come close to, drop them from ones left behind
+   */
+  refreshChunkNodes() {
+    for (const chunk of this.terrain.getLoadedChunks()) {
+      if (this.terrain.getChunkDistance(chunk.x, chunk.z) > this.nodeDistance) {
+        this.clearChunk(chunk);
+      } else {
+        this.populateChunk(chunk);
+      }
     }
-
-    return null;
   }
 
-  // Calculate slope from surface normal
-  calculateSlope(normal) {
-    const worldUp = new THREE.Vector3(0, 1, 0);
-    const dotProduct = normal.dot(worldUp);
-    const slope = 1 - dotProduct;
-    return slope;
+  // Query the terrain height grid (no raycasting)
+  getTerrainInfo(x, z) {
+    const height = this.terrain.getHeightAt(x, z);
+    const normal = this.terrain.getNormalAt(x, z);
+
+    return {
+      height: height,
+      normal: normal,
+      point: new THREE.Vector3(x, height, z),
+    };
   }
 
+  /**
+   * Would the world generator put a node of this type here (height, slope,
+   * water)? Used for things placed after generation, like saplings
+   */
   isValidPlacement(x, z, objectType) {
-    const info = this.getTerrainInfo(x, z);
-
-    if (!info) {
-      return false;
-    }
-
-    const height = info.height;
-    const slope = this.calculateSlope(info.normal);
-
-    if (objectType === "tree") {
-      if (height < this.waterLevel + 2) return false;
-      if (height > 12) return false;
-      if (slope > 0.25) return false;
-      return true;
-    } else if (objectType === "rock") {
-      if (height < this.waterLevel + 0.5) return false;
-      if (slope > 0.5) return false;
-      return true;
-    } else if (objectType === "plant") {
-      if (height < this.waterLevel + 1.5) return false;
-      if (height > 10) return false;
-      if (slope > 0.35) return false;
-      return true;
-    }
-
-    return false;
+    return this.terrain.generator.isValidPlacement(
+      x,
+      z,
+      objectType,
+      this.terrain.sampleHeightfield(x, z)
+    );
   }
 
-  generateTrees() {
-    const treeCount = 40;
-    let placed = 0;
-    let attempts = 0;
-    const maxAttempts = treeCount * 20;
+  generateWater() {
+    // Large enough to cover every resident chunk, follows the player
+    const waterSize = 1400;
+    const waterGeometry = new THREE.PlaneGeometry(
+      waterSize,
+      waterSize,
+      112,
+      112
+    );
 
-    console.log("🌲 Placing trees...");
+    // Shared animated material, also used by rivers and lakes
+    this.water = new THREE.Mesh(waterGeometry, this.waterSystem.material);
+    this.water.name = "water";
+    this.water.rotation.x = -Math.PI / 2;
+    this.water.position.y = this.terrain.seaLevel;
 
-    while (placed < treeCount && attempts < maxAttempts) {
-      attempts++;
+    this.scene.add(this.water);
 
-      const x = (Math.random() - 0.5) * this.terrain.terrainSize * 0.6;
-      const z = (Math.random() - 0.5) * this.terrain.terrainSize * 0.6;
+    console.log(`💧 Sea generated at level ${this.terrain.seaLevel}`);
+  }
 
-      if (this.isValidPlacement(x, z, "tree")) {
-        const info = this.getTerrainInfo(x, z);
-        if (info) {
-          this.resourceSystem.createResourceNode("tree", x, info.height, z);
-          placed++;
-        }
-      }
+  /**
+   * Keep water and sky centred on the player as the world streams
+   */
+  update(position) {
+    if (this.terrain.centerChunk !== this.nodeCenter) {
+      this.nodeCenter = this.terrain.centerChunk;
+      this.refreshChunkNodes();
     }
 
-    console.log(
-      `🌲 Placed ${placed}/${treeCount} trees (${attempts} attempts)`
-    );
-  }
-
-  generateRocks() {
-    const rockCount = 30;
-    let placed = 0;
-    let attempts = 0;
-    const maxAttempts = rockCount * 20;
-
-    console.log("🪨 Placing rocks...");
-
-    while (placed < rockCount && attempts < maxAttempts) {
-      attempts++;
-
-      const x = (Math.random() - 0.5) * this.terrain.terrainSize * 0.7;
-      const z = (Math.random() - 0.5) * this.terrain.terrainSize * 0.7;
-
-      if (this.isValidPlacement(x, z, "rock")) {
-        const info = this.getTerrainInfo(x, z);
-        if (info) {
-          this.resourceSystem.createResourceNode("rock", x, info.height, z);
-          placed++;
-
-          // Debug first few rocks
-          if (placed <= 3) {
-            console.log(
-              `🪨 Rock ${placed}: pos=(${x.toFixed(1)}, ${info.height.toFixed(
-                1
-              )}, ${z.toFixed(1)})`
-            );
-          }
-        }
-      }
+    if (this.water) {
+      // Snap to the water grid so the surface doesn't swim
+      const params = this.water.geometry.parameters;
+      const step = params.width / params.widthSegments;
+      this.water.position.x = Math.round(position.x / step) * step;
+      this.water.position.z = Math.round(position.z / step) * step;
     }
 
-    console.log(
-      `🪨 Placed ${placed}/${rockCount} rocks (${attempts} attempts)`
-    );
+    if (this.skybox) {
+      this.skybox.position.x = position.x;
+      this.skybox.position.z = position.z;
+    }
   }
+}
 
-  generatePlants() {
-    const plantCount = 50;
-    let placed = 0;
-    let attempts = 0;
-    const maxAttempts = plantCount * 20;
-
-    console.log("🌿 Placing plants...");
-
-    while (placed < plantCount && attempts < maxAttempts) {
-      attempts++;
+EnvironmentGenerator.skyVertexShader = `
+  varying vec3 vDirection;
 
-      const x = (Math.random() - 0.5) * this.terrain.terrainSize * 0.65;
-      const z = (Math.random() - 0.5) * this.terrain.terrainSize * 0.65;
+  #include <common>
+  #include <logdepthbuf_pars_vertex>
 
-      if (this.isValidPlacement(x, z, "plant")) {
-        const info = this.getTerrainInfo(x, z);
-        if (info) {
-          this.resourceSystem.createResourceNode("plant", x, info.height, z);
-          placed++;
-        }
-      }
-    }
+  void main() {
+    vDirection = position;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
 
-    console.log(
-      `🌿 Placed ${placed}/${plantCount} plants (${attempts} attempts)`
-    );
+    #include <logdepthbuf_vertex>
+  }
+`;
+
+EnvironmentGenerator.skyFragmentShader = `
+  uniform vec3 zenithColor;
+  uniform vec3 horizonColor;
+  uniform vec3 sunDirection;
+  uniform vec3 sunColor;
+  uniform float sunVisibility;
+  uniform vec3 moonDirection;
+  uniform float moonPhase;
+  uniform float moonVisibility;
+  uniform float starOpacity;
+  uniform float starRotation;
+  uniform float time;
+
+  varying vec3 vDirection;
+
+  #include <logdepthbuf_pars_fragment>
+
+  float hash(vec3 p) {
+    p = fract(p * 0.3183099 + 0.1);
+    p *= 17.0;
+    return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
   }
 
-  generateWater() {
-    const waterSize = 180;
-    const waterGeometry = new THREE.PlaneGeometry(waterSize, waterSize, 40, 40);
-
-    const waterMaterial = new THREE.MeshStandardMaterial({
-      color: 0x2090d0,
-      transparent: true,
-      opacity: 0.5,
-      roughness: 0.1,
-      metalness: 0.8,
-      side: THREE.DoubleSide,
-    });
+  void main() {
+    #include <logdepthbuf_fragment>
 
-    this.water = new THREE.Mesh(waterGeometry, waterMaterial);
-    this.water.name = "water";
-    this.water.rotation.x = -Math.PI / 2;
-    this.water.position.y = this.waterLevel;
-    this.water.receiveShadow = true;
+    vec3 direction = normalize(vDirection);
+    float height = direction.y;
+    float aboveHorizon = smoothstep(-0.03, 0.02, height);
 
-    this.scene.add(this.water);
+    // Gradient, darkening a little below the horizon
+    vec3 color = mix(horizonColor, zenithColor, pow(max(height, 0.0), 0.5));
+    color = mix(color, horizonColor * 0.7, smoothstep(0.0, -0.3, height));
 
-    console.log(`💧 Water generated at level ${this.waterLevel}`);
+    // Stars turn with the sky through the night
+    float c = cos(starRotation);
+    float s = sin(starRotation);
+    vec3 starDirection = vec3(
+      c * direction.x + s * direction.y,
+      -s * direction.x + c * direction.y,
+      direction.z
+    );
+    vec3 cell = starDirection * 160.0;
+    float starSeed = hash(floor(cell));
+    float starShape = smoothstep(0.35, 0.05, length(fract(cell) - 0.5));
+    float twinkle = 0.7 + 0.3 * sin(time * 3.0 + starSeed * 200.0);
+    float star = step(0.993, starSeed) * starShape * twinkle;
+    color += vec3(star) * starOpacity * aboveHorizon;
+
+    // Moon: a lit sphere whose bright side follows the phase
+    // (0 = new, 0.5 = full), with faint earthshine on the dark side
+    float moonRadius = 0.035;
+    vec3 moonRight = normalize(cross(moonDirection, vec3(0.0, 1.0, 0.0)));
+    vec3 moonUp = cross(moonRight, moonDirection);
+    vec2 moonUv = vec2(dot(direction, moonRight), dot(direction, moonUp)) / moonRadius;
+    float moonDistance = length(moonUv);
+    if (dot(direction, moonDirection) > 0.0 && moonDistance < 1.0) {
+      vec3 normal = vec3(moonUv, sqrt(1.0 - moonDistance * moonDistance));
+      float angle = moonPhase * 6.2831853;
+      vec3 light = vec3(sin(angle), 0.0, -cos(angle));
+      float lit = smoothstep(-0.05, 0.1, dot(normal, light));
+      float craters = 0.85 + 0.15 * hash(floor(vec3(moonUv * 5.0, 1.0)));
+      vec3 moonColor = vec3(0.92, 0.94, 1.0) * craters * (0.08 + 0.92 * lit);
+      float edge = smoothstep(1.0, 0.9, moonDistance);
+      color = mix(color, moonColor, edge * moonVisibility * aboveHorizon);
+    }
+    float moonGlow = pow(max(dot(direction, moonDirection), 0.0), 600.0);
+    float fullness = 0.5 - 0.5 * cos(moonPhase * 6.2831853);
+    color += vec3(0.6, 0.7, 1.0) * moonGlow * fullness * moonVisibility * 0.3;
+
+    // Sun disc and halo
+    float sunDot = dot(direction, sunDirection);
+    float disc = smoothstep(0.9993, 0.9996, sunDot);
+    float glow =
+      pow(max(sunDot, 0.0), 300.0) * 0.5 + pow(max(sunDot, 0.0), 12.0) * 0.15;
+    color += sunColor * (disc * 2.0 + glow) * sunVisibility * aboveHorizon;
+
+    gl_FragColor = vec4(color, 1.0);
   }
-}
+`;
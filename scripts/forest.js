@@ -0,0 +1,410 @@
+/**
+ * Forest System
+ * Saplings planted by the player or seeded by nearby trees, growing through
+ * visible stages into trees that can be chopped like any other
+ */
+
+class ForestSystem {
+  constructor(scene, terrain, resourceSystem, environment) {
+    this.scene = scene;
+    this.terrain = terrain;
+    this.resourceSystem = resourceSystem;
+    this.environment = environment;
+
+    this.saplings = []; // { position, age, wild, stage, mesh }
+    this.trees = []; // Grown trees: { position, wild, node }
+
+    this.growTime = 48; // Game hours from seedling to tree, scaled by season
+    // Growth (0-1) at which each stage starts
+    this.stages = [
+      { name: "Seedling", at: 0 },
+      { name: "Sapling", at: 0.25 },
+      { name: "Young Tree", at: 0.6 },
+    ];
+    this.spacing = 3; // Closest a sapling may be to a tree, rock or sapling
+
+    // Forests creep outwards: every spreadInterval game hours a tree near the
+    // player may drop a seedling spreadDistance away
+    this.spreadInterval = 6;
+    this.spreadTimer = 0;
+    this.spreadDistance = [4, 9];
+    this.maxWild = 80; // Saplings and trees from spreading, all told
+
+    this.saveInterval = 15; // Seconds between saves while saplings grow
+    this.saveTimer = 0;
+
+    this.barkMaterial = new THREE.MeshStandardMaterial({
+      color: 0x6b4a2b,
+      roughness: 0.9,
+    });
+    this.leafMaterial = new THREE.MeshStandardMaterial({
+      color: 0x3f7a22,
+      roughness: 0.8,
+    });
+    this.stageGeometries = this.createStageGeometries();
+
+    this.terrain.onTerrainEdited((area) => this.settleSaplings(area));
+
+    this.loadForest();
+
+    console.log(
+      `🌱 Forest system initialized (${this.saplings.length} saplings, ${this.trees.length} grown trees)`
+    );
+  }
+
+  /**
+   * Stem and leaves for each growth stage, shared by every sapling
+   */
+  createStageGeometries() {
+    const seedlingLeaves = new THREE.SphereGeometry(0.14, 6, 4);
+    seedlingLeaves.scale(1, 0.5, 1);
+    seedlingLeaves.translate(0, 0.3, 0);
+
+    const saplingLeaves = new THREE.ConeGeometry(0.4, 0.9, 6);
+    saplingLeaves.translate(0, 1.1, 0);
+
+    const youngLower = new THREE.ConeGeometry(0.9, 1.5, 7);
+    youngLower.translate(0, 1.9, 0);
+    const youngUpper = new THREE.ConeGeometry(0.65, 1.2, 7);
+    youngUpper.translate(0, 2.6, 0);
+
+    const stem = (radius, height) => {
+      const geometry = new THREE.CylinderGeometry(
+        radius * 0.7,
+        radius,
+        height,
+        5
+      );
+      geometry.translate(0, height / 2, 0);
+      return geometry;
+    };
+
+    return [
+      { stem: stem(0.02, 0.3), leaves: [seedlingLeaves] },
+      { stem: stem(0.04, 1), leaves: [saplingLeaves] },
+      { stem: stem(0.1, 2.2), leaves: [youngLower, youngUpper] },
+    ];
+  }
+
+  /**
+   * Mesh for a growth stage; previews get their own materials to tint
+   */
+  createSaplingMesh(stage, isPreview = false) {
+    const geometries = this.stageGeometries[stage];
+    const bark = isPreview ? this.barkMaterial.clone() : this.barkMaterial;
+    const leaves = isPreview ? this.leafMaterial.clone() : this.leafMaterial;
+    if (isPreview) {
+      bark.transparent = leaves.transparent = true;
+      bark.opacity = leaves.opacity = 0.7;
+    }
+
+    const group = new THREE.Group();
+    const stem = new THREE.Mesh(geometries.stem, bark);
+    stem.castShadow = !isPreview;
+    group.add(stem);
+
+    for (const geometry of geometries.leaves) {
+      const mesh = new THREE.Mesh(geometry, leaves);
+      mesh.castShadow = !isPreview;
+      group.add(mesh);
+    }
+
+    return group;
+  }
+
+  /**
+   * Trees grow where the world would have put one, clear of other nodes
+   */
+  canPlant(position) {
+    if (!this.environment.isValidPlacement(position.x, position.z, "tree")) {
+      return false;
+    }
+
+    const minDistance = this.spacing * this.spacing;
+    const tooClose = (other) => {
+      const dx = other.x - position.x;
+      const dz = other.z - position.z;
+      return dx * dx + dz * dz < minDistance;
+    };
+
+    for (const node of this.resourceSystem.resourceNodes) {
+      if (tooClose(node.position)) return false;
+    }
+    for (const sapling of this.saplings) {
+      if (tooClose(sapling.position)) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Put a sapling in the ground; age is in game hours
+   */
+  plantSapling(position, wild = false, age = 0) {
+    const sapling = {
+      position: new THREE.Vector3(
+        position.x,
+        this.terrain.getHeightAt(position.x, position.z),
+        position.z
+      ),
+      age: age,
+      wild: wild,
+      stage: -1,
+      mesh: null,
+    };
+
+    this.saplings.push(sapling);
+    this.updateSaplingMesh(sapling);
+
+    if (!wild) {
+      console.log(
+        `🌱 Planted sapling at (${sapling.position.x.toFixed(
+          1
+        )}, ${sapling.position.z.toFixed(1)})`
+      );
+    }
+    return sapling;
+  }
+
+  getGrowth(sapling) {
+    return Math.min(1, sapling.age / this.growTime);
+  }
+
+  getStage(growth) {
+    let stage = 0;
+    for (let i = 0; i < this.stages.length; i++) {
+      if (growth >= this.stages[i].at) stage = i;
+    }
+    return stage;
+  }
+
+  /**
+   * Swap the mesh when a stage is reached and grow it a little within one
+   */
+  updateSaplingMesh(sapling) {
+    const growth = this.getGrowth(sapling);
+    const stage = this.getStage(growth);
+
+    if (stage !== sapling.stage) {
+      if (sapling.mesh) this.scene.remove(sapling.mesh);
+      sapling.mesh = this.createSaplingMesh(stage);
+      sapling.mesh.position.copy(sapling.position);
+      sapling.mesh.rotation.y = Math.random() * Math.PI * 2;
+      this.scene.add(sapling.mesh);
+      sapling.stage = stage;
+    }
+
+    const start = this.stages[stage].at;
+    const end = this.stages[stage + 1] ? this.stages[stage + 1].at : 1;
+    sapling.mesh.scale.setScalar(
+      0.8 + ((growth - start) / (end - start)) * 0.3
+    );
+  }
+
+  removeSapling(sapling) {
+    if (sapling.mesh) this.scene.remove(sapling.mesh);
+    const index = this.saplings.indexOf(sapling);
+    if (index > -1) this.saplings.splice(index, 1);
+  }
+
+  /**
+   * Replace a full-grown sapling with a tree resource node
+   */
+  growTree(sapling) {
+    this.removeSapling(sapling);
+    this.addTree(sapling.position, sapling.wild);
+    console.log(
+      `🌳 A sapling grew into a tree at (${sapling.position.x.toFixed(
+        1
+      )}, ${sapling.position.z.toFixed(1)})`
+    );
+  }
+
+  addTree(position, wild) {
+    const node = this.resourceSystem.createResourceNode(
+      "tree",
+      position.x,
+      this.terrain.getHeightAt(position.x, position.z),
+      position.z
+    );
+    this.trees.push({ position: node.position, wild: wild, node: node });
+  }
+
+  /**
+   * Age saplings on the game clock; plants grow faster in summer
+   * @param {Number} deltaTime - Real seconds since the last frame
+   * @param {Number} gameHours - Game hours since the last frame
+   */
+  update(deltaTime, gameHours) {
+    const seasons = window.game?.seasonSystem;
+    const growth = seasons
+      ? gameHours / seasons.getPlantRespawnMultiplier()
+      : gameHours;
+
+    if (seasons) seasons.getFoliageColor(this.leafMaterial.color);
+
+    this.grow(growth);
+
+    this.spreadTimer += gameHours;
+    if (this.spreadTimer >= this.spreadInterval) {
+      this.spreadTimer = 0;
+      this.spread();
+    }
+
+    this.saveTimer += deltaTime;
+    if (this.saveTimer >= this.saveInterval) {
+      this.saveTimer = 0;
+      if (this.saplings.length > 0) this.saveForest();
+    }
+  }
+
+  /**
+   * Age every sapling by some game hours of growth
+   */
+  grow(hours) {
+    let grown = false;
+
+    for (const sapling of [...this.saplings]) {
+      sapling.age += hours;
+      if (sapling.age >= this.growTime) {
+        this.growTree(sapling);
+        grown = true;
+      } else {
+        this.updateSaplingMesh(sapling);
+      }
+    }
+
+    if (grown) this.saveForest();
+  }
+
+  /**
+   * Let a random loaded tree seed the ground around it
+   */
+  spread() {
+    const wild =
+      this.saplings.filter((s) => s.wild).length +
+      this.trees.filter((t) => t.wild).length;
+    if (wild >= this.maxWild) return;
+
+    const trees = this.resourceSystem.resourceNodes.filter(
+      (node) => node.type === "tree" && node.canGather
+    );
+    if (trees.length === 0) return;
+
+    const parent = trees[Math.floor(Math.random() * trees.length)];
+    const [min, max] = this.spreadDistance;
+    const angle = Math.random() * Math.PI * 2;
+    const distance = min + Math.random() * (max - min);
+    const position = new THREE.Vector3(
+      parent.position.x + Math.cos(angle) * distance,
+      0,
+      parent.position.z + Math.sin(angle) * distance
+    );
+
+    // Only into biomes that grow trees
+    const biome = this.terrain.getBiomeAt(position.x, position.z);
+    if (!(biome.resources.tree > 0) || !this.canPlant(position)) return;
+
+    this.plantSapling(position, true);
+    this.saveForest();
+  }
+
+  /**
+   * Keep saplings on the ground when it is dug or raised
+   */
+  settleSaplings(area) {
+    for (const sapling of this.saplings) {
+      if (area) {
+        const dx = sapling.position.x - area.x;
+        const dz = sapling.position.z - area.z;
+        if (dx * dx + dz * dz > area.radius * area.radius) continue;
+      }
+
+      sapling.position.y = this.terrain.getHeightAt(
+        sapling.position.x,
+        sapling.position.z
+      );
+      if (sapling.mesh) sapling.mesh.position.y = sapling.position.y;
+    }
+  }
+
+  /**
+   * Sapling and stage counts (debug)
+   */
+  getStats() {
+    const stages = {};
+    for (const sapling of this.saplings) {
+      const name = this.stages[sapling.stage].name;
+      stages[name] = (stages[name] || 0) + 1;
+    }
+    return {
+      saplings: this.saplings.length,
+      stages: stages,
+      grownTrees: this.trees.length,
+      wild:
+        this.saplings.filter((s) => s.wild).length +
+        this.trees.filter((t) => t.wild).length,
+    };
+  }
+
+  saveForest() {
+    try {
+      const position = (p) => [
+        Number(p.x.toFixed(2)),
+        Number(p.y.toFixed(2)),
+        Number(p.z.toFixed(2)),
+      ];
+
+      const saveData = {
+        seed: this.terrain.seed,
+        heightmap: this.terrain.heightmap ? this.terrain.heightmap.name : null,
+        saplings: this.saplings.map((s) => [
+          ...position(s.position),
+          Number(s.age.toFixed(3)),
+          s.wild ? 1 : 0,
+        ]),
+        trees: this.trees.map((t) => [...position(t.position), t.wild ? 1 : 0]),
+        timestamp: Date.now(),
+        version: "1.0",
+      };
+
+      localStorage.setItem("Survival3d_forest", JSON.stringify(saveData));
+    } catch (error) {
+      console.error("❌ Failed to save forest:", error);
+    }
+  }
+
+  loadForest() {
+    try {
+      const savedData = localStorage.getItem("Survival3d_forest");
+      if (!savedData) return;
+
+      const saveData = JSON.parse(savedData);
+
+      // Planted trees only make sense on the world they were planted in
+      const heightmap = this.terrain.heightmap
+        ? this.terrain.heightmap.name
+        : null;
+      if (
+        saveData.seed !== this.terrain.seed ||
+        (saveData.heightmap || null) !== heightmap
+      ) {
+        console.log("🌱 Saved forest belongs to another world, ignoring it");
+        return;
+      }
+
+      for (const [x, y, z, wild] of saveData.trees || []) {
+        this.addTree(new THREE.Vector3(x, y, z), wild === 1);
+      }
+      for (const [x, y, z, age, wild] of saveData.saplings || []) {
+        this.plantSapling(new THREE.Vector3(x, y, z), wild === 1, age);
+      }
+
+      console.log(
+        `📂 Loaded ${this.saplings.length} saplings and ${this.trees.length} grown trees`
+      );
+    } catch (error) {
+      console.error("❌ Failed to load forest:", error);
+    }
+  }
+}
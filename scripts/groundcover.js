@@ -0,0 +1,519 @@
+/**
+ * Ground Cover System
+ * Decorative grass and flowers near the player, placed by biome and height
+ * One InstancedMesh per chunk and shape, swaying with the wind in the vertex shader
+ */
+
+class GroundCoverSystem {
+  constructor(scene, terrain, optimizationManager) {
+    this.scene = scene;
+    this.terrain = terrain;
+    this.optimizationManager = optimizationManager;
+
+    // Candidates per square unit at biome density 1 and quality density 1
+    this.grassDensity = 1.4;
+    this.flowerDensity = 0.12;
+
+    // Grass thins out over the mountain blend and stops on steep ground
+    this.fadeHeight = { start: 7.5, end: 9.5 };
+    this.maxSlope = 0.4;
+
+    // Biomes are sampled on a coarse grid per chunk rather than per blade
+    this.biomeSpacing = 4;
+
+    // Quality settings: density multiplier and fade distance
+    this.settings = optimizationManager
+      ? optimizationManager.getQualitySettings()
+      : { groundCoverDensity: 1, groundCoverDistance: 55 };
+
+    this.chunks = new Map(); // Terrain chunk key -> array of meshes
+    this.dirtyChunks = new Set(); // Built chunks waiting to be rebuilt
+
+    // Shared by every ground cover mesh, updated once per frame
+    this.uniforms = {
+      time: { value: 0 },
+      windDirection: { value: new THREE.Vector2(1, 0) },
+      windStrength: { value: 0.3 },
+      fadeDistance: { value: this.settings.groundCoverDistance },
+    };
+    this.material = this.createMaterial();
+
+    this.grassGeometry = GroundCoverSystem.createGrassGeometry();
+    this.grassColor = new THREE.Color(0x6fa23c);
+    this.flowerGeometries = [0xf4d83c, 0xe2609c, 0xf2f2f2, 0x8f74d8].map(
+      (color) => GroundCoverSystem.createFlowerGeometry(color)
+    );
+
+    this.quaternion = new THREE.Quaternion();
+    this.scale = new THREE.Vector3();
+    this.position = new THREE.Vector3();
+    this.up = new THREE.Vector3(0, 1, 0);
+
+    terrain.onChunkUnloaded((chunk) => this.removeChunk(chunk.key));
+    terrain.onTerrainEdited(({ x, z, radius }) =>
+      this.refreshArea(x, z, radius)
+    );
+
+    if (optimizationManager) {
+      optimizationManager.onQualityChanged((settings) => {
+        this.settings = settings;
+        this.uniforms.fadeDistance.value = settings.groundCoverDistance;
+        this.clear();
+      });
+    }
+
+    console.log("🌾 Ground cover system initialized");
+  }
+
+  /**
+   * Lambert material with wind sway and distance fade added to the vertex shader
+   */
+  createMaterial() {
+    const material = new THREE.MeshLambertMaterial({
+      vertexColors: true,
+      side: THREE.DoubleSide,
+    });
+
+    material.onBeforeCompile = (shader) => {
+      Object.assign(shader.uniforms, this.uniforms);
+      shader.vertexShader = shader.vertexShader
+        .replace(
+          "#include <common>",
+          `#include <common>
+          uniform float time;
+          uniform vec2 windDirection;
+          uniform float windStrength;
+          uniform float fadeDistance;`
+        )
+        .replace(
+          "#include <begin_vertex>",
+          `#include <begin_vertex>
+          ${GroundCoverSystem.swayShaderChunk}`
+        );
+    };
+
+    return material;
+  }
+
+  /**
+   * Three crossed blades; normals point up so the clump is lit like the ground
+   * Height is 1 so the instance scale sets the blade length
+   */
+  static createGrassGeometry() {
+    const positions = [];
+    const colors = [];
+    const base = [0.2, 0.36, 0.12];
+    const tip = [0.62, 0.8, 0.36];
+
+    for (let i = 0; i < 3; i++) {
+      const angle = (i / 3) * Math.PI;
+      const dx = Math.cos(angle) * 0.06;
+      const dz = Math.sin(angle) * 0.06;
+      const lean = (i - 1) * 0.12;
+
+      // Tapered blade: two triangles from a wide base to a point
+      const left = [-dx, 0, -dz];
+      const right = [dx, 0, dz];
+      const midLeft = [-dx * 0.5 + lean * dz, 0.55, -dz * 0.5 - lean * dx];
+      const midRight = [dx * 0.5 + lean * dz, 0.55, dz * 0.5 - lean * dx];
+      const point = [lean * dz * 2, 1, -lean * dx * 2];
+      const mid = base.map((c, k) => c + (tip[k] - c) * 0.55);
+
+      positions.push(...left, ...right, ...midRight);
+      positions.push(...left, ...midRight, ...midLeft);
+      positions.push(...midLeft, ...midRight, ...point);
+      colors.push(...base, ...base, ...mid, ...base, ...mid, ...mid);
+      colors.push(...mid, ...mid, ...tip);
+    }
+
+    return GroundCoverSystem.createGeometry(positions, colors);
+  }
+
+  /**
+   * A thin stem with a crossed pair of petals on top
+   */
+  static createFlowerGeometry(petalHex) {
+    const positions = [];
+    const colors = [];
+    const stem = [0.25, 0.45, 0.15];
+    const petal = new THREE.Color(petalHex).toArray();
+    const centre = [0.95, 0.8, 0.25];
+
+    positions.push(-0.015, 0, 0, 0.015, 0, 0, 0.015, 0.8, 0);
+    positions.push(-0.015, 0, 0, 0.015, 0.8, 0, -0.015, 0.8, 0);
+    colors.push(...stem, ...stem, ...stem, ...stem, ...stem, ...stem);
+
+    for (const [dx, dz] of [
+      [0.14, 0],
+      [0, 0.14],
+    ]) {
+      positions.push(-dx, 0.78, -dz, dx, 0.78, dz, dx, 0.98, dz);
+      positions.push(-dx, 0.78, -dz, dx, 0.98, dz, -dx, 0.98, -dz);
+      colors.push(...petal, ...petal, ...centre, ...petal, ...centre, ...petal);
+    }
+
+    return GroundCoverSystem.createGeometry(positions, colors);
+  }
+
+  static createGeometry(positions, colors) {
+    const normals = [];
+    for (let i = 0; i < positions.length; i += 3) {
+      normals.push(0, 1, 0);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute(
+      "position",
+      new THREE.Float32BufferAttribute(positions, 3)
+    );
+    geometry.setAttribute(
+      "normal",
+      new THREE.Float32BufferAttribute(normals, 3)
+    );
+    geometry.setAttribute("color", new THREE.Float32BufferAttribute(colors, 3));
+    return geometry;
+  }
+
+  /**
+   * Build ground cover for chunks coming into range, drop it for chunks leaving
+   * Builds at most one chunk per frame
+   */
+  update(deltaTime, position, wind) {
+    this.uniforms.time.value += deltaTime;
+    if (wind) {
+      this.uniforms.windDirection.value.copy(wind.direction);
+      this.uniforms.windStrength.value = wind.strength;
+    }
+
+    const distance = this.settings.groundCoverDistance;
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    for (const chunk of this.terrain.getLoadedChunks()) {
+      const chunkDistance = this.getChunkDistance(chunk, position);
+      const built = this.chunks.has(chunk.key);
+
+      if (built && chunkDistance > distance + this.terrain.chunkSize / 2) {
+        this.removeChunk(chunk.key);
+        continue;
+      }
+
+      const needsBuild =
+        chunkDistance < distance && (!built || this.dirtyChunks.has(chunk.key));
+      if (needsBuild && chunkDistance < nearestDistance) {
+        nearest = chunk;
+        nearestDistance = chunkDistance;
+      }
+    }
+
+    if (nearest) {
+      this.buildChunk(nearest);
+    }
+  }
+
+  /**
+   * Distance on the ground from a point to the nearest edge of a chunk
+   */
+  getChunkDistance(chunk, position) {
+    const size = this.terrain.chunkSize;
+    const minX = chunk.x * size;
+    const minZ = chunk.z * size;
+    const dx = Math.max(minX - position.x, 0, position.x - (minX + size));
+    const dz = Math.max(minZ - position.z, 0, position.z - (minZ + size));
+    return Math.sqrt(dx * dx + dz * dz);
+  }
+
+  /**
+   * Scatter grass and flowers over a chunk
+   * Candidates come from a seeded stream per chunk, so the same spots are
+   * chosen every time the chunk is rebuilt
+   */
+  buildChunk(chunk) {
+    this.removeChunk(chunk.key);
+
+    const size = this.terrain.chunkSize;
+    const originX = chunk.x * size;
+    const originZ = chunk.z * size;
+    const density = this.settings.groundCoverDensity;
+    const biomes = this.sampleBiomes(originX, originZ);
+    const clearings = this.getClearings(originX, originZ);
+
+    const grass = [];
+    const flowers = this.flowerGeometries.map(() => []);
+
+    const place = (label, count, kind, minScale, maxScale) => {
+      const random = this.terrain.createRandom(`${label}:${chunk.key}`);
+
+      for (let i = 0; i < count; i++) {
+        // Always draw the same numbers per candidate
+        const x = originX + random.next() * size;
+        const z = originZ + random.next() * size;
+        const roll = random.next();
+        const angle = random.next() * Math.PI * 2;
+        const scale = minScale + random.next() * (maxScale - minScale);
+        const variant = random.next();
+
+        const biome = this.getSampledBiome(biomes, x - originX, z - originZ);
+        const chance = biome.groundCover[kind] * this.getHeightFade(x, z);
+        if (roll >= chance) continue;
+        if (!this.canGrowAt(x, z, clearings)) continue;
+
+        const matrix = this.composeMatrix(x, z, angle, scale);
+        if (kind === "grass") {
+          grass.push({ matrix, color: this.getGrassColor(biome, variant) });
+        } else {
+          const index = Math.floor(variant * flowers.length);
+          flowers[index].push({ matrix });
+        }
+      }
+    };
+
+    const area = size * size;
+    place(
+      "grass",
+      Math.round(area * this.grassDensity * density),
+      "grass",
+      0.35,
+      0.75
+    );
+    place(
+      "flowers",
+      Math.round(area * this.flowerDensity * density),
+      "flowers",
+      0.35,
+      0.55
+    );
+
+    const meshes = [this.createMesh(this.grassGeometry, grass, true)];
+    flowers.forEach((instances, i) => {
+      meshes.push(this.createMesh(this.flowerGeometries[i], instances, false));
+    });
+
+    this.chunks.set(
+      chunk.key,
+      meshes.filter((mesh) => mesh)
+    );
+    this.dirtyChunks.delete(chunk.key);
+  }
+
+  createMesh(geometry, instances, colored) {
+    if (instances.length === 0) return null;
+
+    const mesh = new THREE.InstancedMesh(
+      geometry,
+      this.material,
+      instances.length
+    );
+    instances.forEach((instance, i) => {
+      mesh.setMatrixAt(i, instance.matrix);
+      if (colored) {
+        mesh.setColorAt(i, instance.color);
+      }
+    });
+
+    // Instances cover the whole chunk; chunks out of range are removed instead
+    mesh.frustumCulled = false;
+    mesh.castShadow = false;
+    mesh.receiveShadow = true;
+    mesh.name = "ground-cover";
+    this.scene.add(mesh);
+
+    return mesh;
+  }
+
+  composeMatrix(x, z, angle, scale) {
+    this.position.set(x, this.terrain.getHeightAt(x, z) - 0.05, z);
+    this.quaternion.setFromAxisAngle(this.up, angle);
+    this.scale.setScalar(scale);
+    return new THREE.Matrix4().compose(
+      this.position,
+      this.quaternion,
+      this.scale
+    );
+  }
+
+  /**
+   * Grass takes on some of the biome's ground colour, with a little variation
+   */
+  getGrassColor(biome, variant) {
+    const [r, g, b] = biome.color;
+    return new THREE.Color(r, g, b)
+      .lerp(this.grassColor, 0.5)
+      .multiplyScalar(1.6 + variant * 0.5);
+  }
+
+  /**
+   * Biome at each point of a coarse grid over the chunk
+   */
+  sampleBiomes(originX, originZ) {
+    const spacing = this.biomeSpacing;
+    const row = Math.floor(this.terrain.chunkSize / spacing) + 1;
+    const biomes = new Array(row * row);
+
+    for (let iz = 0; iz < row; iz++) {
+      for (let ix = 0; ix < row; ix++) {
+        biomes[iz * row + ix] = this.terrain.getBiomeAt(
+          originX + ix * spacing,
+          originZ + iz * spacing
+        );
+      }
+    }
+
+    return { biomes, row };
+  }
+
+  getSampledBiome(samples, localX, localZ) {
+    const ix = Math.round(localX / this.biomeSpacing);
+    const iz = Math.round(localZ / this.biomeSpacing);
+    return samples.biomes[iz * samples.row + ix];
+  }
+
+  getHeightFade(x, z) {
+    const height = this.terrain.getHeightAt(x, z);
+    const { start, end } = this.fadeHeight;
+    return 1 - Math.max(0, Math.min(1, (height - start) / (end - start)));
+  }
+
+  /**
+   * Dry, not too steep and not under a structure
+   */
+  canGrowAt(x, z, clearings) {
+    if (this.terrain.isWaterAt(x, z)) return false;
+    if (this.terrain.getSlopeAt(x, z) > this.maxSlope) return false;
+
+    for (const clearing of clearings) {
+      const dx = x - clearing.x;
+      const dz = z - clearing.z;
+      const along = dx * clearing.cos - dz * clearing.sin;
+      const across = dx * clearing.sin + dz * clearing.cos;
+      if (
+        Math.abs(along) < clearing.halfWidth &&
+        Math.abs(across) < clearing.halfDepth
+      ) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Footprints of placed structures that reach into a chunk
+   */
+  getClearings(originX, originZ) {
+    const building = window.game?.buildingSystem;
+    if (!building) return [];
+
+    const size = this.terrain.chunkSize;
+    const margin = 0.3;
+    const clearings = [];
+
+    for (const structureData of building.placedStructures) {
+      const structure = building.structures[structureData.type];
+      if (!structure) continue;
+
+      const { x, z } = structureData.position;
+      const halfWidth = structure.dimensions.width / 2 + margin;
+      const halfDepth = structure.dimensions.depth / 2 + margin;
+      const reach = Math.hypot(halfWidth, halfDepth);
+      if (
+        x + reach < originX ||
+        x - reach > originX + size ||
+        z + reach < originZ ||
+        z - reach > originZ + size
+      ) {
+        continue;
+      }
+
+      const angle = structureData.rotation.y;
+      clearings.push({
+        x,
+        z,
+        cos: Math.cos(angle),
+        sin: Math.sin(angle),
+        halfWidth,
+        halfDepth,
+      });
+    }
+
+    return clearings;
+  }
+
+  /**
+   * Rebuild ground cover around a point, e.g. after digging or building
+   */
+  refreshArea(x, z, radius) {
+    const size = this.terrain.chunkSize;
+    const minX = Math.floor((x - radius) / size);
+    const maxX = Math.floor((x + radius) / size);
+    const minZ = Math.floor((z - radius) / size);
+    const maxZ = Math.floor((z + radius) / size);
+
+    for (let chunkZ = minZ; chunkZ <= maxZ; chunkZ++) {
+      for (let chunkX = minX; chunkX <= maxX; chunkX++) {
+        const key = this.terrain.getChunkKey(chunkX, chunkZ);
+        if (this.chunks.has(key)) {
+          this.dirtyChunks.add(key);
+        }
+      }
+    }
+  }
+
+  removeChunk(key) {
+    const meshes = this.chunks.get(key);
+    if (!meshes) return;
+
+    for (const mesh of meshes) {
+      this.scene.remove(mesh);
+      mesh.dispose();
+    }
+    this.chunks.delete(key);
+    this.dirtyChunks.delete(key);
+  }
+
+  /**
+   * Remove all ground cover; it is rebuilt around the player from the next frame
+   */
+  clear() {
+    for (const key of Array.from(this.chunks.keys())) {
+      this.removeChunk(key);
+    }
+  }
+
+  getStats() {
+    let instances = 0;
+    let meshes = 0;
+    for (const chunkMeshes of this.chunks.values()) {
+      meshes += chunkMeshes.length;
+      for (const mesh of chunkMeshes) {
+        instances += mesh.count;
+      }
+    }
+    return { chunks: this.chunks.size, meshes, instances };
+  }
+}
+
+/**
+ * Bends blades along the wind, more towards the tip, with gusts rolling across
+ * the ground; shrinks them into the ground towards the fade distance
+ * The offset is worked out in world space and turned back into instance space
+ */
+GroundCoverSystem.swayShaderChunk = `
+  vec3 coverOrigin = (modelMatrix * instanceMatrix * vec4(0.0, 0.0, 0.0, 1.0)).xyz;
+
+  float gust = sin(dot(coverOrigin.xz, windDirection) * 0.15 - time * 1.6) * 0.5 + 0.5;
+  float flutter = sin(time * 4.0 + coverOrigin.x * 1.7 + coverOrigin.z * 1.3);
+  float sway = windStrength * (0.1 + 0.4 * gust) + flutter * 0.05 * (0.2 + windStrength);
+  vec3 bend = vec3(windDirection.x, 0.0, windDirection.y) * sway * transformed.y * transformed.y;
+  bend.y = -dot(bend, bend) * 0.5;
+
+  mat3 coverBasis = mat3(instanceMatrix);
+  transformed += vec3(
+    dot(coverBasis[0], bend),
+    dot(coverBasis[1], bend),
+    dot(coverBasis[2], bend)
+  ) / dot(coverBasis[0], coverBasis[0]);
+
+  float coverDistance = distance(coverOrigin.xz, cameraPosition.xz);
+  transformed *= 1.0 - smoothstep(fadeDistance * 0.7, fadeDistance, coverDistance);
+`;
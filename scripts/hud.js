@@ -1,6 +1,6 @@
 /**
  * HUD System
- * Comprehensive heads-up display with health, hunger, stamina, temperature, and minimap
+ * Comprehensive heads-up display with health, hunger, stamina, oxygen, temperature, and minimap
  */
 
 class HUDSystem {
@@ -19,6 +19,13 @@ class HUDSystem {
     this.staminaRegenRate = 10; // Per second
     this.staminaDrainRate = 20; // Per second when sprinting
 
+    this.oxygen = 100;
+    this.maxOxygen = 100;
+    this.oxygenDrainRate = 4; // Per second with the head under water
+    this.oxygenRegenRate = 25; // Per second at the surface
+    this.drowningDamage = 5; // Per second once out of oxygen
+    this.drowningTimer = 0;
+
     this.temperature = 20; // Celsius
     this.optimalTemp = 20;
     this.minTemp = -10;
@@ -27,6 +34,10 @@ class HUDSystem {
     // Compass
     this.compassDirection = 0;
 
+    // Biome the player is standing in
+    this.currentBiome = null;
+    this.seasonText = null;
+
     this.initHUD();
     console.log("📊 HUD System initialized");
   }
@@ -65,6 +76,15 @@ class HUDSystem {
                     <div class="status-value" id="stamina-value">100/100</div>
                 </div>
                 
+                <!-- Oxygen Bar (only shown while not full) -->
+                <div class="status-bar oxygen-bar-container" id="oxygen-bar" style="display: none">
+                    <div class="status-icon">🫧</div>
+                    <div class="status-bar-bg">
+                        <div class="status-bar-fill oxygen-fill" id="oxygen-fill" style="width: 100%"></div>
+                    </div>
+                    <div class="status-value" id="oxygen-value">100/100</div>
+                </div>
+                
                 <!-- Temperature -->
                 <div class="status-bar temp-bar-container">
                     <div class="status-icon">🌡️</div>
@@ -88,6 +108,12 @@ class HUDSystem {
                 </div>
             </div>
             
+            <!-- Biome -->
+            <div class="biome-indicator" id="biome-indicator"></div>
+            
+            <!-- Day and season -->
+            <div class="season-indicator" id="season-indicator"></div>
+            
             <!-- Minimap -->
             <div class="minimap-container">
                 <canvas id="minimap-canvas" width="150" height="150"></canvas>
@@ -99,6 +125,11 @@ class HUDSystem {
     // Initialize minimap
     this.minimapCanvas = document.getElementById("minimap-canvas");
     this.minimapCtx = this.minimapCanvas.getContext("2d");
+
+    // Water layer, cached and only resampled when the player moves
+    this.minimapWater = document.createElement("canvas");
+    this.minimapWaterStep = 3; // Pixels per water sample
+    this.minimapWaterOrigin = null;
   }
 
   updateHunger(deltaTime) {
@@ -121,14 +152,60 @@ class HUDSystem {
     }
   }
 
+  /**
+   * Hold breath under water; drown in one-second ticks once it runs out
+   */
+  updateOxygen(deltaTime) {
+    if (!this.player.isUnderwater) {
+      this.oxygen = Math.min(
+        this.maxOxygen,
+        this.oxygen + this.oxygenRegenRate * deltaTime
+      );
+      this.drowningTimer = 0;
+      return;
+    }
+
+    this.oxygen -= this.oxygenDrainRate * deltaTime;
+    if (this.oxygen > 0) return;
+    this.oxygen = 0;
+
+    this.drowningTimer += deltaTime;
+    if (this.drowningTimer >= 1 && this.player.health > 0) {
+      this.drowningTimer -= 1;
+      this.player.takeDamage(this.drowningDamage);
+    }
+  }
+
   updateTemperature(gameHour) {
-    // Temperature varies by time of day
-    if (gameHour >= 6 && gameHour < 18) {
-      this.temperature = 15 + Math.sin(((gameHour - 6) / 12) * Math.PI) * 10;
+    // Temperature varies by time of day (daylight hours change with the season)
+    const seasons = window.game?.seasonSystem;
+    const solarHour = seasons ? seasons.getSolarHour(gameHour) : gameHour;
+    if (solarHour >= 6 && solarHour < 18) {
+      this.temperature = 15 + Math.sin(((solarHour - 6) / 12) * Math.PI) * 10;
     } else {
       this.temperature = 5 + Math.random() * 5;
     }
 
+    // Season baseline: warm summers, freezing winters
+    if (seasons) {
+      this.temperature += seasons.getTemperatureOffset();
+    }
+
+    // Biome climate (desert is hot, tundra is freezing)
+    if (this.currentBiome) {
+      this.temperature += this.currentBiome.temperature;
+    }
+
+    // Weather: rain, fog and snow are cold
+    if (window.game?.weatherSystem) {
+      this.temperature += window.game.weatherSystem.getTemperatureOffset();
+    }
+
+    // Ground underfoot: wading and snow chill, sand is warm
+    if (this.player.surface && !this.player.onStructure) {
+      this.temperature += this.player.surface.material.temperature;
+    }
+
     // Add warmth from nearby campfires
     if (window.game?.placeableSystem) {
       const warmth = window.game.placeableSystem.getWarmthAtPosition(
@@ -145,6 +222,41 @@ class HUDSystem {
     }
   }
 
+  updateBiome() {
+    const terrain = window.game?.terrain;
+    if (!terrain) return;
+
+    const biome = terrain.getBiomeAt(
+      this.player.position.x,
+      this.player.position.z
+    );
+
+    if (biome !== this.currentBiome) {
+      this.currentBiome = biome;
+      const biomeEl = document.getElementById("biome-indicator");
+      if (biomeEl) {
+        biomeEl.textContent = `${biome.emoji} ${biome.name}`;
+      }
+    }
+  }
+
+  updateSeason() {
+    const seasons = window.game?.seasonSystem;
+    if (!seasons) return;
+
+    const season = seasons.getSeason();
+    const text = `${season.emoji} ${
+      season.name
+    } · Day ${seasons.getDayOfSeason()}`;
+    if (text !== this.seasonText) {
+      this.seasonText = text;
+      const seasonEl = document.getElementById("season-indicator");
+      if (seasonEl) {
+        seasonEl.textContent = text;
+      }
+    }
+  }
+
   updateCompass() {
     // Get camera direction
     const direction = new THREE.Vector3();
@@ -174,6 +286,21 @@ class HUDSystem {
     ctx.fillStyle = "rgba(20, 40, 20, 0.8)";
     ctx.fillRect(0, 0, size, size);
 
+    // Water
+    this.updateMinimapWater(size, scale);
+    if (this.minimapWaterOrigin) {
+      const half = this.minimapWater.width / 2;
+      ctx.drawImage(
+        this.minimapWater,
+        size / 2 -
+          half +
+          (this.minimapWaterOrigin.x - this.player.position.x) / scale,
+        size / 2 -
+          half +
+          (this.minimapWaterOrigin.z - this.player.position.z) / scale
+      );
+    }
+
     // Border
     ctx.strokeStyle = "#64c864";
     ctx.lineWidth = 2;
@@ -247,6 +374,42 @@ class HUDSystem {
     ctx.stroke();
   }
 
+  /**
+   * Redraw the cached water layer once the player has moved a full sample
+   */
+  updateMinimapWater(size, scale) {
+    const terrain = window.game?.terrain;
+    if (!terrain) return;
+
+    const step = this.minimapWaterStep;
+    const spacing = step * scale;
+    const originX = Math.round(this.player.position.x / spacing) * spacing;
+    const originZ = Math.round(this.player.position.z / spacing) * spacing;
+
+    const origin = this.minimapWaterOrigin;
+    if (origin && origin.x === originX && origin.z === originZ) return;
+    this.minimapWaterOrigin = { x: originX, z: originZ };
+
+    // One extra sample on each side covers the offset between resamples
+    const half = size / 2 + step;
+    this.minimapWater.width = half * 2;
+    this.minimapWater.height = half * 2;
+
+    const ctx = this.minimapWater.getContext("2d");
+    ctx.clearRect(0, 0, half * 2, half * 2);
+    ctx.fillStyle = "rgba(46, 125, 158, 0.9)";
+
+    for (let py = 0; py < half * 2; py += step) {
+      for (let px = 0; px < half * 2; px += step) {
+        const x = originX + (px + step / 2 - half) * scale;
+        const z = originZ + (py + step / 2 - half) * scale;
+        if (terrain.isWaterAt(x, z)) {
+          ctx.fillRect(px, py, step, step);
+        }
+      }
+    }
+  }
+
   updateBars() {
     // Health
     const healthPercent = (this.player.health / this.player.maxHealth) * 100;
@@ -276,6 +439,18 @@ class HUDSystem {
         this.maxStamina
       }`;
 
+    // Oxygen
+    const oxygenPercent = (this.oxygen / this.maxOxygen) * 100;
+    const oxygenBar = document.getElementById("oxygen-bar");
+    const oxygenFill = document.getElementById("oxygen-fill");
+    const oxygenValue = document.getElementById("oxygen-value");
+    if (oxygenBar) {
+      oxygenBar.style.display = oxygenPercent < 100 ? "flex" : "none";
+    }
+    if (oxygenFill) oxygenFill.style.width = `${oxygenPercent}%`;
+    if (oxygenValue)
+      oxygenValue.textContent = `${Math.ceil(this.oxygen)}/${this.maxOxygen}`;
+
     // Temperature
     const tempPercent =
       ((this.temperature - this.minTemp) / (this.maxTemp - this.minTemp)) * 100;
@@ -298,6 +473,9 @@ class HUDSystem {
   update(deltaTime, gameHour, isSprinting = false) {
     this.updateHunger(deltaTime);
     this.updateStamina(deltaTime, isSprinting);
+    this.updateOxygen(deltaTime);
+    this.updateBiome();
+    this.updateSeason();
     this.updateTemperature(gameHour);
     this.updateCompass();
     this.updateMinimap();
@@ -0,0 +1,568 @@
+/**
+ * Hydrology System
+ * Erodes the landscape around spawn, then routes rainfall downhill to carve rivers and fill lakes
+ */
+
+class HydrologySystem {
+  constructor(scene, terrain, waterSystem) {
+    this.scene = scene;
+    this.terrain = terrain;
+    this.random = terrain.createRandom("hydrology");
+
+    // Simulated region, centred on the world origin, on the terrain grid
+    // (an imported heightmap is covered up to 1024 units across)
+    this.cellSize = terrain.chunkSize / terrain.chunkSegments;
+    const regionSize = terrain.heightmap
+      ? Math.min(1024, terrain.heightmap.size)
+      : 512;
+    this.regionSize =
+      Math.round(regionSize / (this.cellSize * 2)) * this.cellSize * 2;
+    this.resolution = this.regionSize / this.cellSize; // Cells per side
+    this.borderWidth = 12; // Vertices over which results fade out at the edge
+
+    // Hydraulic erosion (droplet simulation)
+    // Imported heightmaps are usually eroded by the tool that made them
+    this.erodeTerrain = !terrain.heightmap;
+    this.erosion = {
+      dropletsPerCell: 0.45,
+      lifetime: 30,
+      inertia: 0.05,
+      capacity: 2,
+      minCapacity: 0.01,
+      erodeSpeed: 0.1,
+      depositSpeed: 0.2,
+      evaporateSpeed: 0.02,
+      gravity: 4,
+      radius: 2,
+    };
+
+    // Flow routing
+    this.riverThreshold = 250; // Upstream vertices before a stream shows up
+    this.riverMinLength = 8;
+    this.lakeMinDepth = 0.25;
+    this.lakeMinSize = 10;
+
+    this.heightOffsets = null; // Added to the generated terrain height
+    this.waterLevels = null; // Water surface per vertex, NaN where dry
+    this.waterBodies = []; // { id, type, level, vertices, mesh }
+
+    this.material = waterSystem.material;
+  }
+
+  /**
+   * Run the simulation and hand the results to the terrain
+   * Resolves once the resident chunks show the carved landscape
+   */
+  async generate() {
+    const start = performance.now();
+    const size = this.resolution + 1;
+    const half = this.resolution / 2;
+
+    // Generated heights across the region, sampled by the generation worker
+    const heights = await this.terrain.requestBaseHeights(-half, -half, size);
+
+    const eroded = heights.slice();
+    if (this.erodeTerrain) {
+      // Erode in units of the terrain height scale, like a 0-1 heightmap
+      const scale = this.terrain.heightScale;
+      for (let i = 0; i < eroded.length; i++) eroded[i] /= scale;
+      this.erode(eroded, size);
+      for (let i = 0; i < eroded.length; i++) eroded[i] *= scale;
+    }
+
+    const flow = this.routeFlow(eroded, size);
+    const offsets = new Float32Array(size * size);
+    for (let i = 0; i < offsets.length; i++) {
+      offsets[i] = eroded[i] - heights[i];
+    }
+
+    this.waterLevels = new Float32Array(size * size).fill(NaN);
+    this.waterBodyIds = new Int32Array(size * size).fill(-1);
+    this.findLakes(eroded, flow, size);
+    this.findRivers(eroded, flow, offsets, size);
+
+    // Fade everything out towards the region edge so it meets the open world
+    for (let z = 0; z < size; z++) {
+      for (let x = 0; x < size; x++) {
+        offsets[z * size + x] *= this.getEdgeFade(x, z, size);
+      }
+    }
+    this.heightOffsets = offsets;
+
+    this.buildWaterMeshes(size);
+    await this.terrain.setHydrology(this);
+
+    const lakes = this.waterBodies.filter((b) => b.type === "lake").length;
+    const rivers = this.waterBodies.length - lakes;
+    console.log(
+      `💧 Hydrology: ${lakes} lakes, ${rivers} rivers in ${(
+        performance.now() - start
+      ).toFixed(0)}ms`
+    );
+  }
+
+  /**
+   * 0 at the region edge, 1 once past the border band
+   */
+  getEdgeFade(x, z, size) {
+    const edge = Math.min(x, z, size - 1 - x, size - 1 - z);
+    const t = Math.min(1, edge / this.borderWidth);
+    return t * t * (3 - 2 * t);
+  }
+
+  /**
+   * Height and gradient at a fractional grid position (bilinear)
+   */
+  sampleGrid(map, size, posX, posZ, out) {
+    const x = Math.floor(posX);
+    const z = Math.floor(posZ);
+    const u = posX - x;
+    const v = posZ - z;
+    const i = z * size + x;
+
+    const nw = map[i];
+    const ne = map[i + 1];
+    const sw = map[i + size];
+    const se = map[i + size + 1];
+
+    out.gradX = (ne - nw) * (1 - v) + (se - sw) * v;
+    out.gradZ = (sw - nw) * (1 - u) + (se - ne) * u;
+    out.height =
+      nw * (1 - u) * (1 - v) + ne * u * (1 - v) + sw * (1 - u) * v + se * u * v;
+    return out;
+  }
+
+  /**
+   * Droplet-based hydraulic erosion: rain picks up sediment on steep ground
+   * and drops it where the water slows down
+   */
+  erode(map, size) {
+    const p = this.erosion;
+    const random = this.random;
+    const sample = { height: 0, gradX: 0, gradZ: 0 };
+    const current = { height: 0, gradX: 0, gradZ: 0 };
+
+    // Erosion brush: weighted offsets within the radius
+    const brush = [];
+    let brushTotal = 0;
+    for (let dz = -p.radius; dz <= p.radius; dz++) {
+      for (let dx = -p.radius; dx <= p.radius; dx++) {
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        if (distance < p.radius) {
+          const weight = 1 - distance / p.radius;
+          brush.push({ dx, dz, weight });
+          brushTotal += weight;
+        }
+      }
+    }
+    for (const b of brush) b.weight /= brushTotal;
+
+    const limit = size - 1 - p.radius;
+
+    const droplets = Math.round(p.dropletsPerCell * size * size);
+
+    for (let drop = 0; drop < droplets; drop++) {
+      let posX = p.radius + random.next() * (limit - p.radius);
+      let posZ = p.radius + random.next() * (limit - p.radius);
+      let dirX = 0;
+      let dirZ = 0;
+      let speed = 1;
+      let water = 1;
+      let sediment = 0;
+
+      for (let step = 0; step < p.lifetime; step++) {
+        const nodeX = Math.floor(posX);
+        const nodeZ = Math.floor(posZ);
+        const u = posX - nodeX;
+        const v = posZ - nodeZ;
+
+        this.sampleGrid(map, size, posX, posZ, current);
+
+        dirX = dirX * p.inertia - current.gradX * (1 - p.inertia);
+        dirZ = dirZ * p.inertia - current.gradZ * (1 - p.inertia);
+        const length = Math.sqrt(dirX * dirX + dirZ * dirZ);
+        if (length === 0) break;
+        dirX /= length;
+        dirZ /= length;
+
+        posX += dirX;
+        posZ += dirZ;
+        if (
+          posX < p.radius ||
+          posX >= limit ||
+          posZ < p.radius ||
+          posZ >= limit
+        ) {
+          break;
+        }
+
+        const deltaHeight =
+          this.sampleGrid(map, size, posX, posZ, sample).height -
+          current.height;
+        const capacity = Math.max(
+          -deltaHeight * speed * water * p.capacity,
+          p.minCapacity
+        );
+
+        if (sediment > capacity || deltaHeight > 0) {
+          // Uphill fills the pit behind it, otherwise drop the excess
+          const deposit =
+            deltaHeight > 0
+              ? Math.min(deltaHeight, sediment)
+              : (sediment - capacity) * p.depositSpeed;
+          sediment -= deposit;
+
+          const i = nodeZ * size + nodeX;
+          map[i] += deposit * (1 - u) * (1 - v);
+          map[i + 1] += deposit * u * (1 - v);
+          map[i + size] += deposit * (1 - u) * v;
+          map[i + size + 1] += deposit * u * v;
+        } else {
+          const erode = Math.min(
+            (capacity - sediment) * p.erodeSpeed,
+            -deltaHeight
+          );
+
+          for (const b of brush) {
+            const i = (nodeZ + b.dz) * size + (nodeX + b.dx);
+            map[i] -= erode * b.weight;
+          }
+          sediment += erode;
+        }
+
+        speed = Math.sqrt(Math.max(0, speed * speed - deltaHeight * p.gravity));
+        water *= 1 - p.evaporateSpeed;
+      }
+    }
+  }
+
+  /**
+   * Priority-flood from the region edge and the sea: fills every basin to its
+   * spill height and gives each vertex the neighbour its water drains into
+   */
+  routeFlow(map, size) {
+    const count = size * size;
+    const filled = new Float32Array(count);
+    const drain = new Int32Array(count).fill(-1);
+    const order = new Int32Array(count);
+    const closed = new Uint8Array(count);
+    const seaLevel = this.terrain.seaLevel;
+
+    const heap = new FloodQueue(count, filled);
+    const open = (i, level, from) => {
+      closed[i] = 1;
+      filled[i] = level;
+      drain[i] = from;
+      heap.push(i);
+    };
+
+    for (let z = 0; z < size; z++) {
+      for (let x = 0; x < size; x++) {
+        const i = z * size + x;
+        const onEdge = x === 0 || z === 0 || x === size - 1 || z === size - 1;
+        if (onEdge || map[i] < seaLevel) {
+          open(i, map[i], -1);
+        }
+      }
+    }
+
+    let visited = 0;
+    while (heap.length > 0) {
+      const i = heap.pop();
+      order[visited++] = i;
+
+      const x = i % size;
+      const z = (i - x) / size;
+      for (let dz = -1; dz <= 1; dz++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const nz = z + dz;
+          if (nx < 0 || nz < 0 || nx >= size || nz >= size) continue;
+
+          const n = nz * size + nx;
+          if (closed[n]) continue;
+          open(n, Math.max(map[n], filled[i]), i);
+        }
+      }
+    }
+
+    // Each vertex collects the rain of everything upstream
+    const accumulation = new Float32Array(count).fill(1);
+    for (let k = count - 1; k >= 0; k--) {
+      const i = order[k];
+      if (drain[i] >= 0) {
+        accumulation[drain[i]] += accumulation[i];
+      }
+    }
+
+    return { filled, drain, order, accumulation };
+  }
+
+  /**
+   * Basins deep enough after filling become lakes at their spill height
+   */
+  findLakes(map, flow, size) {
+    const seen = new Uint8Array(size * size);
+    const isBasin = (i) => flow.filled[i] - map[i] > 0.01;
+
+    for (let start = 0; start < size * size; start++) {
+      if (seen[start] || !isBasin(start)) continue;
+
+      // Flood-fill the connected basin
+      const vertices = [];
+      const stack = [start];
+      seen[start] = 1;
+      let level = -Infinity;
+      let depth = 0;
+
+      while (stack.length > 0) {
+        const i = stack.pop();
+        vertices.push(i);
+        level = Math.max(level, flow.filled[i]);
+        depth = Math.max(depth, flow.filled[i] - map[i]);
+
+        const x = i % size;
+        for (const n of [i - 1, i + 1, i - size, i + size]) {
+          if (n < 0 || n >= size * size) continue;
+          if (Math.abs((n % size) - x) > 1) continue;
+          if (!seen[n] && isBasin(n)) {
+            seen[n] = 1;
+            stack.push(n);
+          }
+        }
+      }
+
+      if (vertices.length < this.lakeMinSize || depth < this.lakeMinDepth) {
+        continue;
+      }
+      if (!this.isInsideBorder(vertices, size)) continue;
+
+      const body = this.addWaterBody("lake", vertices);
+      body.level = level - 0.1;
+      this.wetVertices(body, vertices, size, () => body.level);
+    }
+  }
+
+  /**
+   * Vertices carrying enough water become river channels, cut into the ground
+   */
+  findRivers(map, flow, offsets, size) {
+    const count = size * size;
+    const isRiver = new Uint8Array(count);
+    const seaLevel = this.terrain.seaLevel;
+
+    for (let i = 0; i < count; i++) {
+      if (flow.accumulation[i] < this.riverThreshold) continue;
+      if (this.waterBodyIds[i] >= 0 || map[i] < seaLevel) continue;
+
+      const x = i % size;
+      const z = (i - x) / size;
+      if (this.getEdgeFade(x, z, size) < 1) continue;
+      isRiver[i] = 1;
+    }
+
+    // Carve channels, deeper for bigger rivers
+    const levels = new Float32Array(count);
+    const carve = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+      if (!isRiver[i]) continue;
+
+      const depth = Math.min(
+        1.6,
+        0.6 + 0.25 * Math.log2(flow.accumulation[i] / this.riverThreshold)
+      );
+      levels[i] = flow.filled[i] - 0.25;
+
+      const x = i % size;
+      const z = (i - x) / size;
+      for (let dz = -1; dz <= 1; dz++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const n = (z + dz) * size + (x + dx);
+          const cut = dx === 0 && dz === 0 ? depth : depth * 0.5;
+          carve[n] = Math.max(carve[n], cut);
+        }
+      }
+    }
+    for (let i = 0; i < count; i++) {
+      offsets[i] -= carve[i];
+    }
+
+    // Each connected network of channels is one river
+    const seen = new Uint8Array(count);
+    for (let start = 0; start < count; start++) {
+      if (!isRiver[start] || seen[start]) continue;
+
+      const vertices = [];
+      const stack = [start];
+      seen[start] = 1;
+      while (stack.length > 0) {
+        const i = stack.pop();
+        vertices.push(i);
+
+        const x = i % size;
+        const z = (i - x) / size;
+        for (let dz = -1; dz <= 1; dz++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const n = (z + dz) * size + (x + dx);
+            if (isRiver[n] && !seen[n]) {
+              seen[n] = 1;
+              stack.push(n);
+            }
+          }
+        }
+      }
+
+      if (vertices.length < this.riverMinLength) continue;
+
+      const body = this.addWaterBody("river", vertices);
+      body.level = Math.max(...vertices.map((i) => levels[i]));
+      this.wetVertices(body, vertices, size, (i) => levels[i]);
+    }
+  }
+
+  isInsideBorder(vertices, size) {
+    return vertices.every((i) => {
+      const x = i % size;
+      return this.getEdgeFade(x, (i - x) / size, size) >= 1;
+    });
+  }
+
+  addWaterBody(type, vertices) {
+    const body = {
+      id: this.waterBodies.length,
+      type,
+      level: 0,
+      vertices,
+      mesh: null,
+    };
+    this.waterBodies.push(body);
+    return body;
+  }
+
+  /**
+   * Mark a body's vertices and a one-vertex ring around them as under water
+   */
+  wetVertices(body, vertices, size, getLevel) {
+    for (const i of vertices) {
+      const level = getLevel(i);
+      const x = i % size;
+      const z = (i - x) / size;
+
+      for (let dz = -1; dz <= 1; dz++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const n = (z + dz) * size + (x + dx);
+          if (this.waterBodyIds[n] >= 0 && this.waterBodyIds[n] !== body.id) {
+            continue;
+          }
+          if (!(this.waterLevels[n] >= level)) {
+            this.waterLevels[n] = level;
+            this.waterBodyIds[n] = body.id;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * One mesh per lake and river, following each vertex's water level
+   */
+  buildWaterMeshes(size) {
+    const half = this.resolution / 2;
+    const cell = this.cellSize;
+    const positions = this.waterBodies.map(() => []);
+
+    for (let z = 0; z < size - 1; z++) {
+      for (let x = 0; x < size - 1; x++) {
+        const a = z * size + x;
+        const b = a + size;
+        const c = b + 1;
+        const d = a + 1;
+        const id = this.waterBodyIds[a];
+        if (id < 0) continue;
+        if (
+          isNaN(this.waterLevels[b] + this.waterLevels[c] + this.waterLevels[d])
+        ) {
+          continue;
+        }
+
+        const corner = (i, cx, cz) => [
+          (cx - half) * cell,
+          this.waterLevels[i],
+          (cz - half) * cell,
+        ];
+        const va = corner(a, x, z);
+        const vb = corner(b, x, z + 1);
+        const vc = corner(c, x + 1, z + 1);
+        const vd = corner(d, x + 1, z);
+
+        // Same diagonal as the terrain
+        positions[id].push(...va, ...vb, ...vd, ...vb, ...vc, ...vd);
+      }
+    }
+
+    for (const body of this.waterBodies) {
+      if (positions[body.id].length === 0) continue;
+
+      const geometry = new THREE.BufferGeometry();
+      geometry.setAttribute(
+        "position",
+        new THREE.Float32BufferAttribute(positions[body.id], 3)
+      );
+      geometry.computeVertexNormals();
+
+      body.mesh = new THREE.Mesh(geometry, this.material);
+      body.mesh.name = `${body.type}-${body.id}`;
+      this.scene.add(body.mesh);
+    }
+  }
+}
+
+/**
+ * Binary min-heap of grid indices ordered by their filled height
+ */
+class FloodQueue {
+  constructor(capacity, priorities) {
+    this.items = new Int32Array(capacity);
+    this.priorities = priorities;
+    this.length = 0;
+  }
+
+  push(index) {
+    const items = this.items;
+    const priorities = this.priorities;
+    let k = this.length++;
+
+    while (k > 0) {
+      const parent = (k - 1) >> 1;
+      if (priorities[items[parent]] <= priorities[index]) break;
+      items[k] = items[parent];
+      k = parent;
+    }
+    items[k] = index;
+  }
+
+  pop() {
+    const items = this.items;
+    const priorities = this.priorities;
+    const top = items[0];
+    const last = items[--this.length];
+    let k = 0;
+
+    while (true) {
+      let child = 2 * k + 1;
+      if (child >= this.length) break;
+      if (
+        child + 1 < this.length &&
+        priorities[items[child + 1]] < priorities[items[child]]
+      ) {
+        child++;
+      }
+      if (priorities[items[child]] >= priorities[last]) break;
+      items[k] = items[child];
+      k = child;
+    }
+    items[k] = last;
+
+    return top;
+  }
+}
@@ -42,6 +42,49 @@ class Inventory {
         description: "Collected from plants",
         type: "resource",
       },
+      dirt: {
+        name: "Dirt",
+        icon: "🟫",
+        color: "#6b4a2b",
+        description: "Dug up with a shovel, used to raise the ground",
+        type: "resource",
+      },
+      // Ores, smelted into ingots at a campfire
+      coal: {
+        name: "Coal",
+        icon: "⚫",
+        color: "#1c1c1c",
+        description: "Fuel for smelting ore",
+        type: "resource",
+      },
+      copper_ore: {
+        name: "Copper Ore",
+        icon: "🟠",
+        color: "#c8733a",
+        description: "Mined from copper deposits",
+        type: "resource",
+      },
+      iron_ore: {
+        name: "Iron Ore",
+        icon: "🟤",
+        color: "#b0653f",
+        description: "Mined from iron deposits, often high in the mountains",
+        type: "resource",
+      },
+      copper_ingot: {
+        name: "Copper Ingot",
+        icon: "🥉",
+        color: "#d98c4a",
+        description: "Smelted copper for tools",
+        type: "material",
+      },
+      iron_ingot: {
+        name: "Iron Ingot",
+        icon: "🥈",
+        color: "#a8a8a8",
+        description: "Smelted iron for the best tools",
+        type: "material",
+      },
       // Loot items
       meat: {
         name: "Meat",
@@ -64,6 +107,23 @@ class Inventory {
         description: "Sharp fang from predators",
         type: "resource",
       },
+      // Food (eaten with [R], hungerRestore is per item)
+      berries: {
+        name: "Berries",
+        icon: "🫐",
+        color: "#5a3f9c",
+        description: "Picked from berry bushes",
+        type: "food",
+        hungerRestore: 10,
+      },
+      mushroom: {
+        name: "Mushroom",
+        icon: "🍄",
+        color: "#c8a06a",
+        description: "Found in forests and swamps",
+        type: "food",
+        hungerRestore: 15,
+      },
       // Tools
       wooden_pickaxe: {
         name: "Wooden Pickaxe",
@@ -99,8 +159,77 @@ class Inventory {
         tier: 2,
         gatherBonus: {
           rock: { amountMultiplier: 2, speedMultiplier: 2.5 },
+          boulder: { amountMultiplier: 1, speedMultiplier: 1.5 },
+          coal_ore: { amountMultiplier: 1, speedMultiplier: 1.5 },
+          copper_ore: { amountMultiplier: 1, speedMultiplier: 1.5 },
+          iron_ore: { amountMultiplier: 1, speedMultiplier: 1.5 },
+        },
+      },
+      copper_axe: {
+        name: "Copper Axe",
+        icon: "🪓",
+        color: "#d98c4a",
+        description: "Metal axe, sharper than stone",
+        type: "tool",
+        toolType: "axe",
+        tier: 3,
+        gatherBonus: {
+          tree: { amountMultiplier: 2.5, speedMultiplier: 2.5 },
+        },
+      },
+      copper_pickaxe: {
+        name: "Copper Pickaxe",
+        icon: "⚒️",
+        color: "#d98c4a",
+        description: "Metal pickaxe for ore",
+        type: "tool",
+        toolType: "pickaxe",
+        tier: 3,
+        gatherBonus: {
+          rock: { amountMultiplier: 2.5, speedMultiplier: 3 },
+          boulder: { amountMultiplier: 1.5, speedMultiplier: 2 },
+          coal_ore: { amountMultiplier: 2, speedMultiplier: 2 },
+          copper_ore: { amountMultiplier: 2, speedMultiplier: 2 },
+          iron_ore: { amountMultiplier: 1.5, speedMultiplier: 2 },
         },
       },
+      iron_axe: {
+        name: "Iron Axe",
+        icon: "🪓",
+        color: "#a8a8a8",
+        description: "The best axe there is",
+        type: "tool",
+        toolType: "axe",
+        tier: 4,
+        gatherBonus: {
+          tree: { amountMultiplier: 3, speedMultiplier: 3 },
+        },
+      },
+      iron_pickaxe: {
+        name: "Iron Pickaxe",
+        icon: "⚒️",
+        color: "#a8a8a8",
+        description: "The best pickaxe there is",
+        type: "tool",
+        toolType: "pickaxe",
+        tier: 4,
+        gatherBonus: {
+          rock: { amountMultiplier: 3, speedMultiplier: 3.5 },
+          boulder: { amountMultiplier: 2, speedMultiplier: 3 },
+          coal_ore: { amountMultiplier: 2, speedMultiplier: 3 },
+          copper_ore: { amountMultiplier: 2, speedMultiplier: 3 },
+          iron_ore: { amountMultiplier: 2, speedMultiplier: 3 },
+        },
+      },
+      shovel: {
+        name: "Shovel",
+        icon: "🪏",
+        color: "#ffa500",
+        description: "Digs and raises the ground",
+        type: "tool",
+        toolType: "shovel",
+        tier: 1,
+      },
       rope: {
         name: "Rope",
         icon: "🪢",
@@ -123,6 +252,13 @@ class Inventory {
         description: "Warmth and cooking",
         type: "placeable",
       },
+      sapling: {
+        name: "Sapling",
+        icon: "🌱",
+        color: "#4c8f2f",
+        description: "Plant with [R]; grows into a tree over a few days",
+        type: "placeable",
+      },
     };
 
     // Load saved inventory
@@ -362,6 +498,18 @@ class Inventory {
     return null;
   }
 
+  getSelectedFood() {
+    // Get the currently selected food (if any); itemType is its inventory key
+    const selected = this.getSelectedItem();
+    if (!selected) return null;
+
+    const itemData = this.itemData[selected.type];
+    if (itemData && itemData.type === "food") {
+      return { ...itemData, itemType: selected.type };
+    }
+    return null;
+  }
+
   /**
    * Check if inventory has room for item
    */
@@ -11,7 +11,6 @@ class OptimizationManager {
 
     // Object pools
     this.pools = {
-      particles: [],
       groundItems: [],
       creatureMeshes: [],
       healthBars: [],
@@ -35,6 +34,9 @@ class OptimizationManager {
         structures: 0,
         resources: 0,
       },
+      terrainLod: [], // Terrain chunks per detail level, full detail first
+      resourceBatches: { batches: 0, instances: 0, unbatched: 0, saved: 0 },
+      particles: { active: 0, capacity: 0, emitters: 0 },
     };
 
     // LOD settings
@@ -60,6 +62,18 @@ class OptimizationManager {
     this.enableLOD = true;
     this.enableObjectPooling = true;
 
+    // Detail settings per quality level
+    // groundCoverDensity: multiplier on grass and flowers per square unit
+    // groundCoverDistance: grass fades out by this distance
+    this.qualityLevels = {
+      low: { groundCoverDensity: 0.35, groundCoverDistance: 35 },
+      medium: { groundCoverDensity: 1, groundCoverDistance: 55 },
+      high: { groundCoverDensity: 1.8, groundCoverDistance: 80 },
+    };
+    this.quality = "medium";
+    this.qualityListeners = [];
+    this.loadQuality();
+
     this.initPerformanceUI();
     this.setupTextureCompression();
 
@@ -92,6 +106,14 @@ class OptimizationManager {
                 <div class="perf-item">Culled: <span id="perf-culled">0</span></div>
                 <div class="perf-item">Creatures: <span id="perf-creatures">0</span></div>
                 <div class="perf-item">Structures: <span id="perf-structures">0</span></div>
+                <div class="perf-item">Resource Batches: <span id="perf-resource-batches">0</span></div>
+                <div class="perf-item">Draw Calls Saved: <span id="perf-draw-saved">0</span></div>
+                <div class="perf-item">Particles: <span id="perf-particles">0</span></div>
+            </div>
+            <div class="perf-section">
+                <strong>Terrain</strong>
+                <div class="perf-item">Chunks: <span id="perf-chunks">0</span></div>
+                <div class="perf-item">LOD 0/1/2/3: <span id="perf-terrain-lod">-</span></div>
             </div>
             <div class="perf-section">
                 <strong>Memory</strong>
@@ -114,6 +136,14 @@ class OptimizationManager {
                     <input type="checkbox" id="opt-pooling" checked>
                     <span>Object Pooling</span>
                 </label>
+                <label class="perf-select">
+                    <span>Quality</span>
+                    <select id="opt-quality">
+                        <option value="low">Low</option>
+                        <option value="medium">Medium</option>
+                        <option value="high">High</option>
+                    </select>
+                </label>
             </div>
         </div>
     `;
@@ -158,8 +188,64 @@ class OptimizationManager {
         this.enableObjectPooling = e.target.checked;
         console.log(`Object Pooling: ${this.enableObjectPooling ? 'ON' : 'OFF'}`);
     });
+    
+    const qualitySelect = document.getElementById('opt-quality');
+    qualitySelect.value = this.quality;
+    qualitySelect.addEventListener('change', (e) => {
+        this.setQuality(e.target.value);
+    });
 }
 
+  /**
+   * Settings for the current quality level
+   */
+  getQualitySettings() {
+    return this.qualityLevels[this.quality];
+  }
+
+  /**
+   * Switch quality level ("low", "medium" or "high") and tell listeners
+   */
+  setQuality(level) {
+    if (!this.qualityLevels[level]) return false;
+
+    this.quality = level;
+    this.saveQuality();
+
+    const select = document.getElementById("opt-quality");
+    if (select) select.value = level;
+
+    for (const listener of this.qualityListeners) {
+      listener(this.getQualitySettings(), level);
+    }
+
+    console.log(`Quality: ${level.toUpperCase()}`);
+    return true;
+  }
+
+  onQualityChanged(callback) {
+    this.qualityListeners.push(callback);
+  }
+
+  saveQuality() {
+    try {
+      localStorage.setItem("Survival3d_quality", this.quality);
+    } catch (error) {
+      console.error("❌ Failed to save quality setting:", error);
+    }
+  }
+
+  loadQuality() {
+    try {
+      const level = localStorage.getItem("Survival3d_quality");
+      if (level && this.qualityLevels[level]) {
+        this.quality = level;
+      }
+    } catch (error) {
+      console.error("❌ Failed to load quality setting:", error);
+    }
+  }
+
   /**
    * Setup texture compression for better performance
    */
@@ -322,43 +408,6 @@ class OptimizationManager {
     }
   }
 
-  /**
-   * Object pooling - Get particle from pool
-   */
-  getPooledParticle() {
-    if (!this.enableObjectPooling) return null;
-
-    for (const particle of this.pools.particles) {
-      if (!particle.visible) {
-        particle.visible = true;
-        return particle;
-      }
-    }
-
-    // Pool is full, create new particle
-    const geometry = new THREE.SphereGeometry(0.1, 4, 4);
-    const material = new THREE.MeshBasicMaterial({ color: 0xffffff });
-    const particle = new THREE.Mesh(geometry, material);
-
-    this.pools.particles.push(particle);
-    this.scene.add(particle);
-
-    return particle;
-  }
-
-  /**
-   * Return particle to pool
-   */
-  returnParticleToPool(particle) {
-    if (!this.enableObjectPooling) {
-      this.scene.remove(particle);
-      return;
-    }
-
-    particle.visible = false;
-    particle.position.set(0, -1000, 0); // Move out of view
-  }
-
   /**
    * Update performance metrics
    */
@@ -397,6 +446,15 @@ class OptimizationManager {
         window.game.buildingSystem?.placedStructures.length || 0;
       this.performanceData.entities.resources =
         window.game.resourceSystem?.resourceNodes.length || 0;
+      this.performanceData.terrainLod =
+        window.game.terrain?.getLodStats() || [];
+      if (window.game.resourceSystem) {
+        this.performanceData.resourceBatches =
+          window.game.resourceSystem.getDrawCallStats();
+      }
+      if (window.game.particleSystem) {
+        this.performanceData.particles = window.game.particleSystem.getStats();
+      }
     }
 
     // Estimate memory usage (if available)
@@ -426,6 +484,22 @@ class OptimizationManager {
     this.updateElement("perf-culled", data.culledObjects);
     this.updateElement("perf-creatures", data.entities.creatures);
     this.updateElement("perf-structures", data.entities.structures);
+    this.updateElement(
+      "perf-resource-batches",
+      `${data.resourceBatches.batches} (${data.resourceBatches.instances} nodes)`
+    );
+    this.updateElement("perf-draw-saved", data.resourceBatches.saved);
+    this.updateElement(
+      "perf-particles",
+      `${data.particles.active}/${data.particles.capacity}`
+    );
+
+    // Update terrain stats
+    this.updateElement(
+      "perf-chunks",
+      data.terrainLod.reduce((a, b) => a + b, 0)
+    );
+    this.updateElement("perf-terrain-lod", data.terrainLod.join(" / "));
 
     // Update memory stats
     this.updateElement("perf-geometries", data.geometries);
@@ -485,6 +559,12 @@ class OptimizationManager {
     console.log(`   Ground Items: ${data.entities.groundItems}`);
     console.log(`   Structures: ${data.entities.structures}`);
     console.log(`   Resources: ${data.entities.resources}`);
+    console.log(
+      `   Resource Draw Calls: ${data.resourceBatches.batches} instanced (${data.resourceBatches.unbatched} without instancing, ${data.resourceBatches.saved} saved)`
+    );
+    console.log(
+      `   Particles: ${data.particles.active}/${data.particles.capacity} from ${data.particles.emitters} emitters (1 draw call)`
+    );
     console.log(
       `   Total: ${Object.values(data.entities).reduce((a, b) => a + b, 0)}`
     );
@@ -501,6 +581,12 @@ class OptimizationManager {
     console.log(`   Culling Efficiency: ${efficiency}%`);
     console.log("");
 
+    console.log("%c🏔️ TERRAIN", "color: #8b7355; font-weight: bold;");
+    data.terrainLod.forEach((count, level) => {
+      console.log(`   LOD ${level}: ${count} chunks`);
+    });
+    console.log("");
+
     console.log("%c💾 MEMORY", "color: #ff00ff; font-weight: bold;");
     console.log(`   Geometries: ${data.geometries}`);
     console.log(`   Textures: ${data.textures}`);
@@ -549,6 +635,71 @@ class OptimizationManager {
     return data;
   }
 
+  /**
+   * Benchmark terrain height queries: mesh raycasting vs the height grid
+   * Simulates every creature querying its ground height once per frame
+   */
+  benchmarkTerrainQueries(creatureCount = 120, frames = 60) {
+    const terrain = window.game?.terrain;
+    if (!terrain) {
+      console.warn("⚠️ Terrain not loaded");
+      return null;
+    }
+
+    const center = window.game.player?.position || new THREE.Vector3();
+    const points = [];
+    for (let i = 0; i < creatureCount; i++) {
+      points.push({
+        x: center.x + (Math.random() - 0.5) * 150,
+        z: center.z + (Math.random() - 0.5) * 150,
+      });
+    }
+
+    const timeQueries = (query) => {
+      const start = performance.now();
+      for (let frame = 0; frame < frames; frame++) {
+        for (const point of points) {
+          query(point.x + frame * 0.05, point.z);
+        }
+      }
+      return (performance.now() - start) / frames;
+    };
+
+    const raycastMs = timeQueries((x, z) => terrain.raycastHeightAt(x, z));
+    const gridMs = timeQueries((x, z) => terrain.getHeightAt(x, z));
+
+    // Both methods should agree with the rendered mesh
+    let maxError = 0;
+    for (const point of points) {
+      const error = Math.abs(
+        terrain.raycastHeightAt(point.x, point.z) -
+          terrain.getHeightAt(point.x, point.z)
+      );
+      maxError = Math.max(maxError, error);
+    }
+
+    const results = {
+      creatures: creatureCount,
+      frames: frames,
+      raycastMsPerFrame: raycastMs,
+      heightGridMsPerFrame: gridMs,
+      speedup: gridMs > 0 ? raycastMs / gridMs : Infinity,
+      maxError: maxError,
+    };
+
+    console.log(
+      "%c🏔️ TERRAIN QUERY BENCHMARK",
+      "font-size: 14px; color: #64c864; font-weight: bold;"
+    );
+    console.log(`   ${creatureCount} creatures x ${frames} frames`);
+    console.log(`   Raycast:     ${raycastMs.toFixed(3)}ms per frame`);
+    console.log(`   Height grid: ${gridMs.toFixed(3)}ms per frame`);
+    console.log(`   Speedup:     ${results.speedup.toFixed(1)}x`);
+    console.log(`   Max difference: ${maxError.toFixed(5)} units`);
+
+    return results;
+  }
+
   /**
    * Main update loop
    */
@@ -0,0 +1,340 @@
+/**
+ * Particle System
+ * Every particle in the world (gathering chips, hit sparks, campfire smoke,
+ * rain and snow) in one pool of THREE.Points drawn with one draw call
+ */
+
+class ParticleSystem {
+  constructor(scene, capacity = 10000) {
+    this.scene = scene;
+    this.capacity = capacity;
+    this.used = 0; // Slots up to the highest live one; only these are updated and drawn
+
+    // Dead slots below used, highest first so pop() reuses the lowest and
+    // used drops back once the top ones die. Live particles are never
+    // overwritten; when every slot is live new particles are dropped
+    this.freeSlots = [];
+
+    // Emitter settings: color is a hex or a list to pick from, size (and
+    // sizeEnd) in world units, lifetime [min, max] seconds, gravity is upward
+    // acceleration, velocity plus a random +-spread/2, area is a box around
+    // the emit position, fadeIn/fadeOut are fractions of the lifetime and
+    // sway drifts particles sideways (m/s)
+    this.emitters = {};
+    this.registerEmitter("gather", {
+      size: 0.25,
+      lifetime: [1, 1],
+      gravity: -9.8,
+      velocity: [0, 2.5, 0],
+      spread: [2, 3, 2],
+      fadeOut: 1,
+    });
+    this.registerEmitter("hit", {
+      color: [0xb01818, 0x7a0f0f],
+      size: 0.18,
+      lifetime: [0.4, 0.7],
+      gravity: -9.8,
+      velocity: [0, 2, 0],
+      spread: [3, 2, 3],
+      fadeOut: 1,
+    });
+    this.registerEmitter("smoke", {
+      color: [0x6e6e6e, 0x858585, 0x5c5c5c],
+      size: 0.5,
+      sizeEnd: 1.8,
+      opacity: 0.35,
+      lifetime: [3, 4.5],
+      gravity: 0.15,
+      velocity: [0, 0.7, 0],
+      spread: [0.3, 0.2, 0.3],
+      area: [0.3, 0, 0.3],
+      fadeIn: 0.1,
+      fadeOut: 0.7,
+      sway: 0.2,
+    });
+    this.registerEmitter("rain", {
+      color: 0x9fb6cc,
+      size: 0.12,
+      opacity: 0.6,
+      lifetime: [0.4, 0.8],
+      velocity: [0, -28, 0],
+      fadeIn: 0.15,
+      fadeOut: 0.15,
+    });
+    this.registerEmitter("snow", {
+      color: 0xffffff,
+      size: 0.25,
+      opacity: 0.9,
+      lifetime: [3, 5],
+      velocity: [0, -2.5, 0],
+      spread: [0.2, 0.5, 0.2],
+      fadeIn: 0.2,
+      fadeOut: 0.2,
+      sway: 0.8,
+    });
+
+    // Simulation state stays on the CPU, what the shader needs goes to the GPU
+    this.velocities = new Float32Array(capacity * 3);
+    this.ages = new Float32Array(capacity);
+    this.lifetimes = new Float32Array(capacity);
+    this.emitterIndices = new Uint8Array(capacity);
+    this.emitterList = Object.values(this.emitters);
+
+    this.points = this.createPoints();
+    this.scene.add(this.points);
+
+    console.log(`✨ Particle system initialized (${capacity} particles)`);
+  }
+
+  /**
+   * Add or replace an emitter; unset settings fall back to the defaults
+   */
+  registerEmitter(name, settings) {
+    const existing = this.emitters[name];
+    const emitter = {
+      color: 0xffffff,
+      size: 0.2,
+      sizeEnd: null,
+      opacity: 1,
+      lifetime: [1, 1],
+      gravity: 0,
+      velocity: [0, 0, 0],
+      spread: [0, 0, 0],
+      area: [0, 0, 0],
+      fadeIn: 0,
+      fadeOut: 0,
+      sway: 0,
+      ...settings,
+    };
+    emitter.index = existing
+      ? existing.index
+      : Object.keys(this.emitters).length;
+
+    this.emitters[name] = emitter;
+    if (this.emitterList) this.emitterList[emitter.index] = emitter;
+    return emitter;
+  }
+
+  getEmitter(name) {
+    return this.emitters[name] || null;
+  }
+
+  createPoints() {
+    const geometry = new THREE.BufferGeometry();
+    const attribute = (itemSize) => {
+      const buffer = new THREE.BufferAttribute(
+        new Float32Array(this.capacity * itemSize),
+        itemSize
+      );
+      buffer.setUsage(THREE.DynamicDrawUsage);
+      return buffer;
+    };
+
+    geometry.setAttribute("position", attribute(3));
+    geometry.setAttribute("particleColor", attribute(3));
+    geometry.setAttribute("alpha", attribute(1));
+    geometry.setAttribute("size", attribute(1));
+    geometry.setDrawRange(0, 0);
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: THREE.UniformsUtils.merge([
+        THREE.UniformsLib.fog,
+        { scale: { value: 400 } },
+      ]),
+      vertexShader: ParticleSystem.vertexShader,
+      fragmentShader: ParticleSystem.fragmentShader,
+      transparent: true,
+      depthWrite: false,
+      fog: true,
+    });
+
+    const points = new THREE.Points(geometry, material);
+    points.name = "particles";
+    points.frustumCulled = false;
+    return points;
+  }
+
+  /**
+   * Point sizes are in world units at this many pixels per unit at distance 1
+   * (half the drawing buffer height, as THREE.PointsMaterial does)
+   */
+  setViewportHeight(height) {
+    this.points.material.uniforms.scale.value = height / 2;
+  }
+
+  /**
+   * Emit particles from an emitter at a position
+   * overrides replace the emitter's colour, lifetime, velocity, spread and
+   * area for these particles only
+   */
+  emit(name, position, count = 1, overrides = null) {
+    const emitter = this.emitters[name];
+    if (!emitter) return;
+    const settings = overrides ? { ...emitter, ...overrides } : emitter;
+
+    const attributes = this.points.geometry.attributes;
+    const positions = attributes.position.array;
+    const colors = attributes.particleColor.array;
+    const color = this.color || (this.color = new THREE.Color());
+    const colorList = Array.isArray(settings.color)
+      ? settings.color
+      : [settings.color];
+    const [minLife, maxLife] = settings.lifetime;
+    const { velocity, spread, area } = settings;
+
+    for (let n = 0; n < count; n++) {
+      let i;
+      if (this.freeSlots.length > 0) {
+        i = this.freeSlots.pop();
+      } else if (this.used < this.capacity) {
+        i = this.used++;
+      } else {
+        break;
+      }
+      const k = i * 3;
+
+      for (let axis = 0; axis < 3; axis++) {
+        positions[k + axis] =
+          position.getComponent(axis) + (Math.random() - 0.5) * area[axis];
+        this.velocities[k + axis] =
+          velocity[axis] + (Math.random() - 0.5) * spread[axis];
+      }
+
+      color.setHex(colorList[Math.floor(Math.random() * colorList.length)]);
+      colors[k] = color.r;
+      colors[k + 1] = color.g;
+      colors[k + 2] = color.b;
+
+      this.ages[i] = 0;
+      this.lifetimes[i] = minLife + Math.random() * (maxLife - minLife);
+      this.emitterIndices[i] = emitter.index;
+    }
+
+    attributes.particleColor.needsUpdate = true;
+    this.points.geometry.setDrawRange(0, this.used);
+  }
+
+  /**
+   * Age, move and fade every live particle
+   */
+  update(deltaTime) {
+    const attributes = this.points.geometry.attributes;
+    const positions = attributes.position.array;
+    const alphas = attributes.alpha.array;
+    const sizes = attributes.size.array;
+    const dead = [];
+    let active = 0;
+    let lastLive = -1;
+
+    for (let i = 0; i < this.used; i++) {
+      if (this.ages[i] >= this.lifetimes[i]) {
+        alphas[i] = 0;
+        dead.push(i);
+        continue;
+      }
+
+      const emitter = this.emitterList[this.emitterIndices[i]];
+      const age = (this.ages[i] += deltaTime);
+      const t = Math.min(1, age / this.lifetimes[i]);
+      const k = i * 3;
+
+      this.velocities[k + 1] += emitter.gravity * deltaTime;
+      positions[k] += this.velocities[k] * deltaTime;
+      positions[k + 1] += this.velocities[k + 1] * deltaTime;
+      positions[k + 2] += this.velocities[k + 2] * deltaTime;
+
+      if (emitter.sway > 0) {
+        positions[k] += Math.sin(age * 2 + i) * emitter.sway * deltaTime;
+        positions[k + 2] += Math.cos(age * 1.4 + i) * emitter.sway * deltaTime;
+      }
+
+      let alpha = emitter.opacity;
+      if (emitter.fadeIn > 0 && t < emitter.fadeIn) {
+        alpha *= t / emitter.fadeIn;
+      }
+      if (emitter.fadeOut > 0 && t > 1 - emitter.fadeOut) {
+        alpha *= (1 - t) / emitter.fadeOut;
+      }
+      alphas[i] = t < 1 ? alpha : 0;
+
+      sizes[i] =
+        emitter.sizeEnd === null
+          ? emitter.size
+          : emitter.size + (emitter.sizeEnd - emitter.size) * t;
+
+      if (t < 1) {
+        lastLive = i;
+      } else {
+        dead.push(i);
+      }
+      active++;
+    }
+
+    // Shrink to the highest live particle and reuse the gaps below it
+    this.used = lastLive + 1;
+    this.freeSlots = dead.filter((i) => i < this.used).reverse();
+    this.points.geometry.setDrawRange(0, this.used);
+
+    this.activeCount = active;
+    attributes.position.needsUpdate = true;
+    attributes.alpha.needsUpdate = true;
+    attributes.size.needsUpdate = true;
+  }
+
+  getStats() {
+    return {
+      active: this.activeCount || 0,
+      capacity: this.capacity,
+      emitters: Object.keys(this.emitters).length,
+    };
+  }
+}
+
+ParticleSystem.vertexShader = `
+  uniform float scale;
+
+  attribute vec3 particleColor;
+  attribute float alpha;
+  attribute float size;
+
+  varying vec3 vColor;
+  varying float vAlpha;
+
+  #include <common>
+  #include <fog_pars_vertex>
+  #include <logdepthbuf_pars_vertex>
+
+  void main() {
+    vColor = particleColor;
+    vAlpha = alpha;
+
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    // Dead particles shrink to nothing
+    gl_PointSize = alpha > 0.0 ? size * (scale / -mvPosition.z) : 0.0;
+    gl_Position = projectionMatrix * mvPosition;
+
+    #include <logdepthbuf_vertex>
+    #include <fog_vertex>
+  }
+`;
+
+ParticleSystem.fragmentShader = `
+  varying vec3 vColor;
+  varying float vAlpha;
+
+  #include <common>
+  #include <fog_pars_fragment>
+  #include <logdepthbuf_pars_fragment>
+
+  void main() {
+    #include <logdepthbuf_fragment>
+
+    // Round, soft-edged points
+    float falloff = 1.0 - smoothstep(0.3, 0.5, length(gl_PointCoord - 0.5));
+    if (falloff <= 0.0) discard;
+
+    gl_FragColor = vec4(vColor, vAlpha * falloff);
+
+    #include <fog_fragment>
+  }
+`;
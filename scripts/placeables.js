@@ -14,6 +14,7 @@ class PlaceableSystem {
         this.placementMode = false;
         this.currentPlaceable = null;
         this.placeRange = 5;
+        this.smokeRate = 6; // Campfire smoke puffs per second
         
         this.setupInput();
         this.loadPlaceables();
@@ -84,6 +85,8 @@ class PlaceableSystem {
             this.previewMesh = this.createTorchMesh(true);
         } else if (itemType === 'campfire') {
             this.previewMesh = this.createCampfireMesh(true);
+        } else if (itemType === 'sapling' && window.game?.forestSystem) {
+            this.previewMesh = window.game.forestSystem.createSaplingMesh(0, true);
         }
         
         if (this.previewMesh) {
@@ -247,6 +250,11 @@ class PlaceableSystem {
             }
         }
         
+        // Saplings need ground a tree could grow on
+        if (this.currentPlaceable === 'sapling') {
+            return window.game?.forestSystem?.canPlant(position) ?? false;
+        }
+        
         return true;
     }
     
@@ -289,6 +297,13 @@ class PlaceableSystem {
      * Create actual placeable in world
      */
     createPlaceable(type, position) {
+        // Saplings are handed to the forest system to grow
+        if (type === 'sapling') {
+            window.game?.forestSystem?.plantSapling(position);
+            window.game?.forestSystem?.saveForest();
+            return;
+        }
+        
         let mesh;
         
         if (type === 'torch') {
@@ -358,9 +373,31 @@ class PlaceableSystem {
                 light.intensity = light.intensity === 2 ? 2 : 3;
                 light.intensity += Math.sin(Date.now() * 0.005) * 0.3;
             }
+            
+            if (placeable.type === 'campfire') {
+                this.emitSmoke(placeable, deltaTime);
+            }
         }
     }
     
+    /**
+     * Smoke rising from a campfire, a few puffs a second
+     */
+    emitSmoke(placeable, deltaTime) {
+        const particles = window.game?.particleSystem;
+        if (!particles) return;
+        
+        const smoke = (placeable.smoke || 0) + deltaTime * this.smokeRate;
+        const puffs = Math.floor(smoke);
+        placeable.smoke = smoke - puffs;
+        if (puffs === 0) return;
+        
+        const origin = this.smokeOrigin || (this.smokeOrigin = new THREE.Vector3());
+        origin.copy(placeable.position);
+        origin.y += 0.9;
+        particles.emit('smoke', origin, puffs);
+    }
+    
     showPlacementUI() {
         let ui = document.getElementById('placement-ui');
         if (!ui) {
@@ -436,11 +473,22 @@ class PlaceableSystem {
         }
     }
     
+    /**
+     * Is a placed item of this type within range of a position (crafting stations)
+     */
+    isNearPlaceable(type, position, range) {
+        return this.placeables.some((placeable) =>
+            placeable.type === type && placeable.position.distanceTo(position) <= range
+        );
+    }
+    
     /**
      * Get warmth at position (for campfire temperature buff)
+     * Rain and snow dampen the fires
      */
     getWarmthAtPosition(position) {
         let warmth = 0;
+        const weatherFactor = window.game?.weatherSystem?.getFireWarmthFactor() ?? 1;
         
         for (const placeable of this.placeables) {
             if (placeable.type === 'campfire') {
@@ -453,6 +501,6 @@ class PlaceableSystem {
             }
         }
         
-        return warmth;
+        return warmth * weatherFactor;
     }
 }
\ No newline at end of file
@@ -1,6 +1,6 @@
 /**
  * Player Controller
- * Handles movement, jumping, collision detection, resource gathering, combat, and item usage
+ * Handles movement, jumping, swimming, collision detection, resource gathering, combat, and item usage
  */
 
 class Player {
@@ -9,6 +9,7 @@ class Player {
     this.terrain = terrain;
     this.resourceSystem = resourceSystem;
     this.inventory = inventory;
+    this.random = terrain.createRandom("player");
 
     this.position = new THREE.Vector3(0, 50, 0);
     this.velocity = new THREE.Vector3(0, 0, 0);
@@ -18,11 +19,30 @@ class Player {
     this.isGrounded = false;
     this.playerHeight = 1.8;
     this.playerRadius = 0.5; // Collision radius
+    this.eyeHeight = this.playerHeight * 0.8; // Camera height above position
+
+    // Swimming: buoyancy grows with how much of the body is under water, so
+    // the player floats with the head out; looking down while moving dives
+    this.isSwimming = false; // Body below the water surface
+    this.isUnderwater = false; // Eyes below the water surface
+    this.waterLevel = -Infinity;
+    this.buoyancy = 35;
+    this.waterDrag = 2.5;
+    this.swimSpeed = 0.5; // Multiplier on moveSpeed
+    this.swimUpSpeed = 4;
+
+    // Ground underfoot (TerrainGenerator.getSurfaceMaterialAt), slows walking
+    // on sand and snow and picks the footstep sound
+    this.surface = null;
+    this.onStructure = false;
+    this.stepLength = 2.2; // Distance walked between footsteps
+    this.stepDistance = 0;
 
     // Gathering properties
     this.gatherRange = 5;
     this.gatherCooldown = 500;
     this.lastGatherTime = 0;
+    this.lastRefusalTime = 0;
     this.nearestResource = null;
 
     // Combat properties
@@ -33,6 +53,12 @@ class Player {
     this.attackCooldown = 1000;
     this.lastAttackTime = 0;
 
+    // Digging properties
+    this.digRange = 8;
+    this.digRadius = 3;
+    this.digDepth = 0.6;
+    this.digRaycaster = new THREE.Raycaster();
+
     // Input keys
     this.keys = {
       forward: false,
@@ -43,23 +69,40 @@ class Player {
       gather: false,
       attack: false,
       use: false,
+      raise: false, // Shift held while pressing use
     };
 
     this.setupInput();
 
-    setTimeout(() => {
-      this.position = this.findSpawnPosition();
-      console.log("🎮 Player spawned at:", this.position);
-    }, 400);
+    // Terrain around spawn is generated before the player is created
+    this.position = this.findSpawnPosition();
+    console.log("🎮 Player spawned at:", this.position);
+  }
+
+  /**
+   * Play a footstep for the ground underfoot every stepLength walked
+   */
+  updateFootsteps(oldPosition) {
+    if (!this.isGrounded || this.isSwimming) return;
+
+    const dx = this.position.x - oldPosition.x;
+    const dz = this.position.z - oldPosition.z;
+    this.stepDistance += Math.sqrt(dx * dx + dz * dz);
+
+    if (this.stepDistance >= this.stepLength) {
+      this.stepDistance = 0;
+      const surfaceType = this.onStructure ? "wood" : this.surface.type;
+      window.game?.audioSystem?.playFootstep(surfaceType);
+    }
   }
 
   findSpawnPosition() {
     for (let i = 0; i < 50; i++) {
-      const x = (Math.random() - 0.5) * 60;
-      const z = (Math.random() - 0.5) * 60;
+      const x = (this.random.next() - 0.5) * 60;
+      const z = (this.random.next() - 0.5) * 60;
       const height = this.terrain.getHeightAt(x, z);
 
-      if (height > 0 && height < 10) {
+      if (!this.terrain.isWaterAt(x, z) && height < 10) {
         const h1 = this.terrain.getHeightAt(x + 3, z);
         const h2 = this.terrain.getHeightAt(x - 3, z);
         const h3 = this.terrain.getHeightAt(x, z + 3);
@@ -105,6 +148,7 @@ class Player {
           break;
         case "r":
           this.keys.use = true;
+          this.keys.raise = e.shiftKey;
           break;
         case " ":
           e.preventDefault();
@@ -144,12 +188,30 @@ class Player {
   }
 
   update(deltaTime, camera) {
-    // Apply gravity
-    this.velocity.y += this.gravity * deltaTime;
+    this.updateSwimming();
 
-    // Calculate movement direction
+    if (this.isSwimming) {
+      this.applyBuoyancy(deltaTime);
+    } else {
+      // Apply gravity
+      this.velocity.y += this.gravity * deltaTime;
+    }
+
+    this.surface = this.terrain.getSurfaceMaterialAt(
+      this.position.x,
+      this.position.z
+    );
+    let speed = this.onStructure
+      ? this.moveSpeed
+      : this.moveSpeed * this.surface.material.speed;
+    if (this.isSwimming) {
+      speed = this.moveSpeed * this.swimSpeed;
+    }
+
+    // Calculate movement direction (swimmers follow the camera pitch too)
     const forward = new THREE.Vector3();
     camera.getWorldDirection(forward);
+    const forwardY = forward.y;
     forward.y = 0;
     forward.normalize();
 
@@ -164,15 +226,26 @@ class Player {
 
     if (direction.length() > 0) {
       direction.normalize();
-      this.velocity.x = direction.x * this.moveSpeed;
-      this.velocity.z = direction.z * this.moveSpeed;
+      this.velocity.x = direction.x * speed;
+      this.velocity.z = direction.z * speed;
     } else {
       this.velocity.x *= 0.9;
       this.velocity.z *= 0.9;
     }
 
-    // Jump
-    if (this.keys.jump && this.isGrounded) {
+    if (this.isSwimming) {
+      // Dive or rise along the view, strong enough to beat buoyancy
+      let pitch = 0;
+      if (this.keys.forward) pitch += forwardY;
+      if (this.keys.backward) pitch -= forwardY;
+      this.velocity.y += pitch * speed * 3 * deltaTime;
+
+      // Space swims up
+      if (this.keys.jump) {
+        this.velocity.y = Math.max(this.velocity.y, this.swimUpSpeed);
+      }
+    } else if (this.keys.jump && this.isGrounded) {
+      // Jump
       this.velocity.y = this.jumpForce;
       this.isGrounded = false;
     }
@@ -222,18 +295,50 @@ class Player {
     } else {
       this.isGrounded = false;
     }
+    this.onStructure = structureHeight > terrainHeight;
+
+    this.updateFootsteps(oldPosition);
+
+    // No gathering or fighting while swimming
+    if (this.isSwimming) {
+      this.clearNearestResource();
+    } else {
+      // Resource gathering
+      this.updateResourceGathering();
+
+      // Combat
+      this.updateCombat();
+    }
 
-    // Check terrain collision (world bounds)
-    this.checkTerrainCollision();
+    // Item usage (torches, campfires, shovel, etc.)
+    this.updateItemUse(camera);
+  }
 
-    // Resource gathering
-    this.updateResourceGathering();
+  /**
+   * Compare the body and eyes with the (wave-animated) water surface
+   */
+  updateSwimming() {
+    const x = this.position.x;
+    const z = this.position.z;
+    const waves = window.game?.waterSystem?.getWaveHeight(x, z) || 0;
+    this.waterLevel = this.terrain.getWaterLevelAt(x, z) + waves;
+
+    this.isSwimming = this.position.y < this.waterLevel;
+    this.isUnderwater = this.position.y + this.eyeHeight < this.waterLevel;
+  }
 
-    // Combat
-    this.updateCombat();
+  /**
+   * Gravity minus the lift of the submerged part of the body, with water drag
+   */
+  applyBuoyancy(deltaTime) {
+    const feet = this.position.y - this.playerHeight / 2;
+    const submerged = Math.max(
+      0,
+      Math.min(1, (this.waterLevel - feet) / this.playerHeight)
+    );
 
-    // Item usage (torches, campfires, etc.)
-    this.updateItemUse();
+    this.velocity.y += (this.gravity + this.buoyancy * submerged) * deltaTime;
+    this.velocity.y *= Math.max(0, 1 - this.waterDrag * deltaTime);
   }
 
   /**
@@ -360,6 +465,14 @@ class Player {
     }
   }
 
+  clearNearestResource() {
+    if (this.nearestResource) {
+      this.resourceSystem.hideIndicator(this.nearestResource);
+      this.nearestResource = null;
+    }
+    this.hideGatherPrompt();
+  }
+
   getGatheringBonuses(resourceType) {
     const tool = this.inventory.getSelectedTool();
 
@@ -375,6 +488,26 @@ class Player {
     return { amountMultiplier, speedMultiplier, tool };
   }
 
+  /**
+   * Weakest tool that meets a node's requirement, e.g. "Stone Pickaxe"
+   * Returns null if the node can be gathered by hand
+   */
+  getRequiredToolName(resourceType) {
+    const requirement = this.resourceSystem.getToolRequirement(resourceType);
+    if (!requirement) return null;
+
+    let best = null;
+    for (const item of Object.values(this.inventory.itemData)) {
+      if (item.toolType !== requirement.toolType) continue;
+      if ((item.tier || 0) < requirement.minTier) continue;
+      if (!best || item.tier < best.tier) best = item;
+    }
+
+    return best
+      ? `${best.icon} ${best.name}`
+      : `tier ${requirement.minTier} ${requirement.toolType}`;
+  }
+
   attemptGather() {
     const now = Date.now();
 
@@ -389,6 +522,21 @@ class Player {
       return;
     }
 
+    const type = this.nearestResource.type;
+    if (!this.resourceSystem.meetsToolRequirement(type, bonuses.tool)) {
+      // Say why once while the key is held, not every cooldown
+      if (now - this.lastRefusalTime > 2000) {
+        this.inventory.showMessage(
+          `🔒 Need a ${this.getRequiredToolName(
+            type
+          )} or better to gather ${this.resourceSystem.getNodeName(type)}`,
+          "error"
+        );
+        this.lastRefusalTime = now;
+      }
+      return;
+    }
+
     const resource = this.resourceSystem.gatherResource(
       this.nearestResource,
       bonuses.amountMultiplier
@@ -398,6 +546,15 @@ class Player {
       this.inventory.addItem(resource.type, resource.amount);
       this.lastGatherTime = now;
 
+      if (resource.bonus) {
+        const bonus = this.inventory.itemData[resource.bonus.type];
+        this.inventory.addItem(resource.bonus.type, resource.bonus.amount);
+        this.inventory.showMessage(
+          `${bonus.icon} Found a ${bonus.name.toLowerCase()}`,
+          "success"
+        );
+      }
+
       if (bonuses.tool) {
         this.showToolFeedback(bonuses.tool, bonuses.speedMultiplier);
       }
@@ -424,17 +581,27 @@ class Player {
       document.getElementById("ui-overlay").appendChild(prompt);
     }
 
-    const resourceName = node.type.charAt(0).toUpperCase() + node.type.slice(1);
+    const resourceName = this.resourceSystem.getNodeName(node.type);
     const bonuses = this.getGatheringBonuses(node.type);
 
     let promptText = `[E] Gather ${resourceName} (${node.health}/${node.maxHealth})`;
 
-    if (bonuses.tool) {
+    const canGather = this.resourceSystem.meetsToolRequirement(
+      node.type,
+      bonuses.tool
+    );
+
+    if (!canGather) {
+      promptText = `🔒 ${resourceName}\nNeeds a ${this.getRequiredToolName(
+        node.type
+      )} or better`;
+    } else if (bonuses.tool) {
       promptText += `\n${bonuses.tool.icon} ${bonuses.amountMultiplier}x amount, ${bonuses.speedMultiplier}x speed`;
     } else {
       promptText += "\n(No tool equipped)";
     }
 
+    prompt.classList.toggle("locked", !canGather);
     prompt.textContent = promptText;
     prompt.style.display = "block";
     prompt.style.whiteSpace = "pre-line";
@@ -511,10 +678,20 @@ class Player {
   /**
    * Try to use/place item (torches, campfires, etc.)
    */
-  updateItemUse() {
+  updateItemUse(camera) {
     if (this.keys.use) {
       this.keys.use = false; // Prevent spam
 
+      if (this.eatSelectedFood()) {
+        return;
+      }
+
+      const tool = this.inventory.getSelectedTool();
+      if (tool && tool.toolType === "shovel") {
+        this.useShovel(camera, this.keys.raise);
+        return;
+      }
+
       // Try to place item with placeable system
       if (window.game?.placeableSystem) {
         const used = window.game.placeableSystem.tryUsePlaceable();
@@ -525,6 +702,85 @@ class Player {
     }
   }
 
+  /**
+   * Eat one of the selected food item to restore hunger
+   * Returns false when no food is selected
+   */
+  eatSelectedFood() {
+    const food = this.inventory.getSelectedFood();
+    const hud = window.game?.hudSystem;
+    if (!food || !hud) return false;
+
+    if (hud.hunger >= hud.maxHunger) {
+      this.inventory.showMessage("You're not hungry", "info");
+      return true;
+    }
+
+    this.inventory.removeItem(food.itemType, 1);
+    hud.eatFood(food.hungerRestore);
+    this.inventory.showMessage(
+      `Ate ${food.icon} ${food.name} (+${food.hungerRestore} hunger)`,
+      "success"
+    );
+    return true;
+  }
+
+  /**
+   * Dig (or raise with Shift) the ground the camera is looking at
+   * Digging yields dirt, or stone on rocky ground; raising uses it up again
+   */
+  useShovel(camera, raise) {
+    this.digRaycaster.setFromCamera(new THREE.Vector2(0, 0), camera);
+    this.digRaycaster.far = this.digRange;
+
+    const intersects = this.digRaycaster.intersectObject(
+      this.terrain.mesh,
+      true
+    );
+    if (intersects.length === 0) return;
+
+    const point = intersects[0].point;
+
+    if (raise) {
+      const material = ["dirt", "stone"].find((type) =>
+        this.inventory.hasItem(type)
+      );
+      if (!material) {
+        this.inventory.showMessage(
+          "Need dirt or stone to raise ground",
+          "info"
+        );
+        return;
+      }
+
+      if (
+        this.terrain.deformTerrain(
+          point.x,
+          point.z,
+          this.digRadius,
+          this.digDepth
+        )
+      ) {
+        this.inventory.removeItem(material, 1);
+      }
+      return;
+    }
+
+    const rocky =
+      point.y > 9 || this.terrain.getSlopeAt(point.x, point.z) > 0.35;
+
+    if (
+      this.terrain.deformTerrain(
+        point.x,
+        point.z,
+        this.digRadius,
+        -this.digDepth
+      )
+    ) {
+      this.inventory.addItem(rocky ? "stone" : "dirt", 1);
+    }
+  }
+
   /**
    * Take damage from creatures
    */
@@ -588,11 +844,4 @@ class Player {
       console.log("♻️ Player respawned");
     }, 3000);
   }
-
-  checkTerrainCollision() {
-    // Only check world bounds here, structure collision handled separately
-    const maxDist = this.terrain.terrainSize / 2 - 5;
-    this.position.x = Math.max(-maxDist, Math.min(maxDist, this.position.x));
-    this.position.z = Math.max(-maxDist, Math.min(maxDist, this.position.z));
-  }
 }
@@ -0,0 +1,60 @@
+/**
+ * Seeded Random
+ * Deterministic random numbers so the same world seed always builds the same world
+ */
+
+class SeededRandom {
+  constructor(seed) {
+    this.seed = SeededRandom.hashSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Turn any seed (number or text) into a 32-bit integer (FNV-1a)
+   */
+  static hashSeed(seed) {
+    const text = String(seed);
+    let hash = 2166136261;
+
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+
+    return hash >>> 0;
+  }
+
+  /**
+   * Create a fresh seed for a new world
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 1000000000).toString();
+  }
+
+  /**
+   * Next number in [0, 1) - mulberry32
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Random number between min and max
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Independent stream derived from this seed, e.g. fork("creatures")
+   */
+  fork(label) {
+    return new SeededRandom(`${this.seed}:${label}`);
+  }
+}
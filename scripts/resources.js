@@ -8,172 +8,617 @@ class ResourceSystem {
     this.scene = scene;
     this.terrain = terrain;
     this.resourceNodes = [];
-    this.particlePool = [];
+    this.nodesById = new Map();
+
+    // Saved state of damaged and depleted nodes by id, including nodes in
+    // unloaded chunks, so regrowth carries on while the player is away
+    this.nodeStates = new Map();
+    this.saveInterval = 10; // Seconds between saves while anything is regrowing
+    this.saveTimer = 0;
+    this.statesChanged = false;
+
+    // Node definitions: health, what one hit drops, particle colour and the
+    // tool needed to gather (requiredToolType at minTier or better, none = by hand)
+    // bonusDrop is a chance of something extra when the node is used up
+    this.nodeTypes = {
+      tree: {
+        maxHealth: 5,
+        drop: { type: "wood", amount: 1 },
+        bonusDrop: { type: "sapling", amount: 1, chance: 0.35 },
+        particleColor: 0x8b4513,
+      },
+      rock: {
+        maxHealth: 8,
+        drop: { type: "stone", amount: 1 },
+        particleColor: 0x808080,
+      },
+      boulder: {
+        maxHealth: 20,
+        drop: { type: "stone", amount: 3 },
+        particleColor: 0x808080,
+        requiredToolType: "pickaxe",
+        minTier: 2,
+      },
+      plant: {
+        maxHealth: 2,
+        drop: { type: "fiber", amount: 2 },
+        particleColor: 0x00ff00,
+      },
+      berry_bush: {
+        maxHealth: 2,
+        drop: { type: "berries", amount: 2 },
+        particleColor: 0xb3203a,
+      },
+      mushroom: {
+        maxHealth: 1,
+        drop: { type: "mushroom", amount: 2 },
+        particleColor: 0xc8a06a,
+      },
+      coal_ore: {
+        maxHealth: 8,
+        drop: { type: "coal", amount: 1 },
+        particleColor: 0x1c1c1c,
+        requiredToolType: "pickaxe",
+        minTier: 1,
+      },
+      copper_ore: {
+        maxHealth: 10,
+        drop: { type: "copper_ore", amount: 1 },
+        particleColor: 0xc8733a,
+        requiredToolType: "pickaxe",
+        minTier: 2,
+      },
+      iron_ore: {
+        maxHealth: 12,
+        drop: { type: "iron_ore", amount: 1 },
+        particleColor: 0xb0653f,
+        requiredToolType: "pickaxe",
+        minTier: 3,
+      },
+    };
+
+    // Nodes are drawn as instances of one InstancedMesh per type and variant
+    this.batches = this.createBatches();
+
+    // Keep nodes on the ground when the player digs around them
+    this.terrain.onTerrainEdited((area) => this.settleNodes(area));
+
+    this.loadNodeStates();
 
     console.log("📦 Resource system initialized");
   }
 
-  // Create a resource node (tree, rock, plant)
+  // Create a resource node of one of the nodeTypes
   createResourceNode(type, x, y, z) {
     const node = {
+      id: this.getNodeId(type, x, z),
       type: type,
       position: new THREE.Vector3(x, y, z),
       health: this.getMaxHealth(type),
       maxHealth: this.getMaxHealth(type),
-      mesh: null,
+      instance: null, // Slot in its batch while visible
       canGather: true,
-      respawnTime: 60000, // 60 seconds
-      respawnTimer: null,
+      picked: false, // Berry bushes stay in the world while they regrow
+      respawnTime: 2, // Game hours (a minute at normal speed)
+      respawnRemaining: 0, // Game hours until a depleted node comes back
     };
 
-    // Create visual mesh based on type
-    if (type === "tree") {
-      node.mesh = this.createTreeMesh(x, y, z);
-    } else if (type === "rock") {
-      node.mesh = this.createRockMesh(x, y, z);
-    } else if (type === "plant") {
-      node.mesh = this.createPlantMesh(x, y, z);
-    }
+    // Pick up where a saved node left off
+    this.applyNodeState(node);
+
+    // Pick a variant and give it its own size, tilt and colour
+    this.randomizeNode(node);
+    if (node.canGather || node.picked) this.showNode(node);
 
     // Add interaction indicator
     this.addInteractionIndicator(node);
 
     this.resourceNodes.push(node);
+    this.nodesById.set(node.id, node);
 
     return node;
   }
 
+  /**
+   * Remove a node completely (its chunk was unloaded)
+   */
+  removeResourceNode(node) {
+    this.hideNode(node);
+
+    if (node.indicator) {
+      this.scene.remove(node.indicator);
+      this.disposeObject(node.indicator);
+      node.indicator = null;
+    }
+
+    node.canGather = false;
+
+    const index = this.resourceNodes.indexOf(node);
+    if (index > -1) {
+      this.resourceNodes.splice(index, 1);
+    }
+    if (this.nodesById.get(node.id) === node) {
+      this.nodesById.delete(node.id);
+    }
+  }
+
+  /**
+   * Nodes are placed the same way every time a world loads, so type and
+   * position identify one across reloads
+   */
+  getNodeId(type, x, z) {
+    return `${type}@${Math.round(x * 10)},${Math.round(z * 10)}`;
+  }
+
+  /**
+   * Remember a node's health and regrowth, or forget it once it is whole again
+   */
+  recordNodeState(node) {
+    if (node.canGather && node.health >= node.maxHealth) {
+      this.nodeStates.delete(node.id);
+    } else {
+      this.nodeStates.set(node.id, {
+        health: node.health,
+        respawnRemaining: node.respawnRemaining,
+        picked: node.picked,
+      });
+    }
+    this.statesChanged = true;
+  }
+
+  applyNodeState(node) {
+    const state = this.nodeStates.get(node.id);
+    if (!state) return;
+
+    node.health = Math.min(state.health, node.maxHealth);
+    node.respawnRemaining = state.respawnRemaining;
+    node.picked = state.picked;
+    node.canGather = !(node.respawnRemaining > 0);
+  }
+
+  /**
+   * Free GPU resources of a node mesh
+   */
+  disposeObject(object) {
+    object.traverse((child) => {
+      if (child.geometry) child.geometry.dispose();
+      if (child.material) child.material.dispose();
+    });
+  }
+
+  /**
+   * Move nodes back onto the terrain surface after it was edited
+   * A null area means the whole terrain changed
+   */
+  settleNodes(area) {
+    for (const node of this.resourceNodes) {
+      if (area) {
+        const dx = node.position.x - area.x;
+        const dz = node.position.z - area.z;
+        if (dx * dx + dz * dz > area.radius * area.radius) continue;
+      }
+
+      const height = this.terrain.getHeightAt(node.position.x, node.position.z);
+      const offset = height - node.position.y;
+      if (offset === 0) continue;
+
+      node.position.y = height;
+      if (node.instance) this.updateNodeMatrix(node);
+      if (node.indicator) node.indicator.position.y += offset;
+    }
+  }
+
   getMaxHealth(type) {
-    switch (type) {
-      case "tree":
-        return 5;
-      case "rock":
-        return 8;
-      case "plant":
-        return 2;
-      default:
-        return 3;
-    }
-  }
-
-  createTreeMesh(x, y, z) {
-    const treeGroup = new THREE.Group();
-    treeGroup.userData.resourceNode = true;
-    treeGroup.userData.resourceType = "tree";
-
-    const trunkHeight = 2.5 + Math.random() * 1.5;
-    const trunkGeometry = new THREE.CylinderGeometry(0.25, 0.3, trunkHeight, 8);
-    const trunkMaterial = new THREE.MeshStandardMaterial({
-      color: 0x4a3728,
-      roughness: 0.95,
+    return this.nodeTypes[type]?.maxHealth ?? 3;
+  }
+
+  /**
+   * Name shown in the gather prompt, e.g. "berry_bush" -> "Berry Bush"
+   */
+  getNodeName(type) {
+    return type
+      .split("_")
+      .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(" ");
+  }
+
+  /**
+   * One batch per type and variant; variants are prebuilt shapes and each
+   * instance adds its own rotation, scale and (for rocks) colour
+   */
+  createBatches() {
+    const treeMaterial = new THREE.MeshStandardMaterial({
+      vertexColors: true,
+      roughness: 0.9,
     });
-    const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
-    trunk.position.y = trunkHeight / 2;
-    trunk.castShadow = true;
-    trunk.receiveShadow = true;
-    treeGroup.add(trunk);
-
-    const foliageHeight = 3 + Math.random() * 1.5;
-    const foliageGeometry = new THREE.ConeGeometry(
-      1.3 + Math.random() * 0.4,
-      foliageHeight,
-      8
-    );
-    const foliageMaterial = new THREE.MeshStandardMaterial({
-      color: 0x2d5016,
+    const rockMaterial = new THREE.MeshStandardMaterial({
+      roughness: 0.9,
+      metalness: 0.1,
+    });
+    const plantMaterial = new THREE.MeshStandardMaterial({
+      vertexColors: true,
       roughness: 0.85,
     });
-    const foliage = new THREE.Mesh(foliageGeometry, foliageMaterial);
-    foliage.position.y = trunkHeight + foliageHeight / 2 - 0.3;
-    foliage.castShadow = true;
-    foliage.receiveShadow = true;
-    treeGroup.add(foliage);
+    const berryColors = [0xb3203a, 0x3f3c8f];
+    const oreMaterial = new THREE.MeshStandardMaterial({
+      vertexColors: true,
+      roughness: 0.7,
+      metalness: 0.3,
+    });
+    const ores = (oreColor) =>
+      [0.6, 0.75].map(
+        (baseSize) =>
+          new InstanceBatch(
+            this.scene,
+            this.createOreGeometry(baseSize, oreColor),
+            oreMaterial,
+            { baseSize }
+          )
+      );
 
-    treeGroup.position.set(x, y, z);
-    treeGroup.rotation.y = Math.random() * Math.PI * 2;
-    this.scene.add(treeGroup);
+    return {
+      tree: [
+        [2.8, 3.4, 1.4],
+        [3.4, 4.0, 1.5],
+        [3.9, 4.4, 1.65],
+      ].map(
+        ([trunkHeight, foliageHeight, foliageRadius]) =>
+          new InstanceBatch(
+            this.scene,
+            this.createTreeGeometry(trunkHeight, foliageHeight, foliageRadius),
+            treeMaterial
+          )
+      ),
+      rock: [0.5, 0.65, 0.8, 0.95].map(
+        (baseSize) =>
+          new InstanceBatch(
+            this.scene,
+            this.createRockGeometry(baseSize),
+            rockMaterial,
+            { colors: true, baseSize }
+          )
+      ),
+      boulder: [1.5, 1.8].map(
+        (baseSize) =>
+          new InstanceBatch(
+            this.scene,
+            this.createRockGeometry(baseSize),
+            rockMaterial,
+            { colors: true, baseSize }
+          )
+      ),
+      plant: [Math.PI / 4, Math.PI / 3].map(
+        (leafTilt) =>
+          new InstanceBatch(
+            this.scene,
+            this.createPlantGeometry(leafTilt),
+            plantMaterial
+          )
+      ),
+      berry_bush: berryColors.map(
+        (berryColor) =>
+          new InstanceBatch(
+            this.scene,
+            this.createBushGeometry(berryColor),
+            plantMaterial
+          )
+      ),
+      // Picked bushes, one per berry_bush variant
+      berry_bush_picked: berryColors.map(
+        () =>
+          new InstanceBatch(
+            this.scene,
+            this.createBushGeometry(null),
+            plantMaterial
+          )
+      ),
+      mushroom: [0x9c6b3f, 0xc8a06a].map(
+        (capColor) =>
+          new InstanceBatch(
+            this.scene,
+            this.createMushroomGeometry(capColor),
+            plantMaterial
+          )
+      ),
+      copper_ore: ores(0xc8733a),
+      iron_ore: ores(0xb0653f),
+      coal_ore: ores(0x1c1c1c),
+    };
+  }
 
-    return treeGroup;
+  /**
+   * Batch a node is drawn in (picked bushes use their empty shape)
+   */
+  getBatch(node) {
+    const type = node.picked ? `${node.type}_picked` : node.type;
+    return this.batches[type][node.variant];
   }
 
-  createRockMesh(x, y, z) {
-    const baseSize = 0.4 + Math.random() * 0.6;
+  createTreeGeometry(trunkHeight, foliageHeight, foliageRadius) {
+    const trunk = new THREE.CylinderGeometry(0.25, 0.3, trunkHeight, 8);
+    trunk.translate(0, trunkHeight / 2, 0);
+
+    const foliage = new THREE.ConeGeometry(foliageRadius, foliageHeight, 8);
+    foliage.translate(0, trunkHeight + foliageHeight / 2 - 0.3, 0);
+
+    const geometry = InstanceBatch.mergeColoredGeometries([
+      { geometry: trunk, color: 0x4a3728 },
+      { geometry: foliage, color: 0x2d5016 },
+    ]);
+    geometry.userData.foliage = geometry.userData.parts[1];
+    return geometry;
+  }
+
+  /**
+   * Recolour the foliage of every tree variant (seasons)
+   */
+  setFoliageColor(color) {
+    const hex = color.getHex();
+    if (hex === this.foliageColor) return;
+    this.foliageColor = hex;
+
+    for (const batch of this.batches.tree) {
+      const { start, count } = batch.geometry.userData.foliage;
+      const colors = batch.geometry.attributes.color;
+      for (let i = start; i < start + count; i++) {
+        colors.setXYZ(i, color.r, color.g, color.b);
+      }
+      colors.needsUpdate = true;
+    }
+  }
+
+  createRockGeometry(baseSize) {
     const geometry = new THREE.DodecahedronGeometry(baseSize, 0);
 
+    // Same lumps for a size on every load of the world
+    const random = this.terrain.createRandom(`rock:${baseSize}`);
     const vertices = geometry.attributes.position.array;
     for (let i = 0; i < vertices.length; i++) {
-      vertices[i] += (Math.random() - 0.5) * baseSize * 0.15;
+      vertices[i] += (random.next() - 0.5) * baseSize * 0.15;
     }
     geometry.computeVertexNormals();
 
-    const grayValue = 0.5 + Math.random() * 0.2;
-    const material = new THREE.MeshStandardMaterial({
-      color: new THREE.Color(grayValue, grayValue, grayValue * 0.95),
-      roughness: 0.9,
-      metalness: 0.1,
-    });
+    return geometry;
+  }
+
+  createPlantGeometry(leafTilt) {
+    const stem = new THREE.CylinderGeometry(0.05, 0.08, 0.8, 6);
+    stem.translate(0, 0.4, 0);
+    const parts = [{ geometry: stem, color: 0x4a7c2c }];
+
+    for (let i = 0; i < 3; i++) {
+      const leaf = new THREE.ConeGeometry(0.15, 0.4, 4);
+      leaf.rotateZ(leafTilt);
+      leaf.rotateY((i * Math.PI * 2) / 3);
+      leaf.translate(0, 0.5 + i * 0.15, 0);
+      parts.push({ geometry: leaf, color: 0x3a8c2a });
+    }
+
+    return InstanceBatch.mergeColoredGeometries(parts);
+  }
+
+  /**
+   * A rock with nuggets of ore set into its surface
+   */
+  createOreGeometry(baseSize, oreColor) {
+    const rock = this.createRockGeometry(baseSize);
+    const parts = [{ geometry: rock, color: 0x6f6a66 }];
+
+    for (let i = 0; i < 7; i++) {
+      const angle = i * 2.4;
+      const height = 0.9 - (i / 7) * 1.1;
+      const ring = Math.sqrt(1 - height * height);
+      const nugget = new THREE.IcosahedronGeometry(baseSize * 0.22, 0);
+      nugget.translate(
+        Math.cos(angle) * ring * baseSize * 0.85,
+        height * baseSize * 0.85,
+        Math.sin(angle) * ring * baseSize * 0.85
+      );
+      parts.push({ geometry: nugget, color: oreColor });
+    }
+
+    return InstanceBatch.mergeColoredGeometries(parts);
+  }
+
+  /**
+   * Round clump of leaves, with berries spread over it unless berryColor is null
+   * The layout is fixed so full and picked bushes have the same leaves
+   */
+  createBushGeometry(berryColor) {
+    const parts = [];
+    const clumps = [
+      [0, 0.45, 0, 0.5],
+      [0.3, 0.35, 0.15, 0.38],
+      [-0.25, 0.35, -0.2, 0.4],
+    ];
+
+    for (const [x, y, z, radius] of clumps) {
+      const leaves = new THREE.IcosahedronGeometry(radius, 1);
+      leaves.translate(x, y, z);
+      parts.push({ geometry: leaves, color: 0x3d6b2a });
+    }
+
+    if (berryColor !== null) {
+      // Golden-angle spiral over the upper half of the main clump
+      for (let i = 0; i < 14; i++) {
+        const height = 0.15 + (i / 14) * 0.75;
+        const angle = i * 2.4;
+        const ring = Math.sqrt(1 - height * height) * 0.52;
+        const berry = new THREE.IcosahedronGeometry(0.06, 0);
+        berry.translate(
+          Math.cos(angle) * ring,
+          0.45 + height * 0.5,
+          Math.sin(angle) * ring
+        );
+        parts.push({ geometry: berry, color: berryColor });
+      }
+    }
+
+    return InstanceBatch.mergeColoredGeometries(parts);
+  }
+
+  /**
+   * A small cluster of mushrooms
+   */
+  createMushroomGeometry(capColor) {
+    const parts = [];
+    const mushrooms = [
+      [0, 0, 0.22, 0.16],
+      [0.16, 0.08, 0.15, 0.11],
+      [-0.1, 0.14, 0.12, 0.09],
+    ];
+
+    for (const [x, z, height, radius] of mushrooms) {
+      const stem = new THREE.CylinderGeometry(
+        radius * 0.3,
+        radius * 0.4,
+        height,
+        6
+      );
+      stem.translate(x, height / 2, z);
+      parts.push({ geometry: stem, color: 0xe8dfc8 });
+
+      const cap = new THREE.SphereGeometry(
+        radius,
+        8,
+        4,
+        0,
+        Math.PI * 2,
+        0,
+        Math.PI / 2
+      );
+      cap.scale(1, 0.6, 1);
+      cap.translate(x, height - 0.01, z);
+      parts.push({ geometry: cap, color: capColor });
+    }
+
+    return InstanceBatch.mergeColoredGeometries(parts);
+  }
+
+  /**
+   * Random variant, orientation, scale and colour for a node, seeded by its
+   * id so it looks the same after a reload or a respawn
+   */
+  randomizeNode(node) {
+    const random = this.terrain.createRandom(`node:${node.id}`);
+    const variants = this.batches[node.type];
+    node.variant = Math.floor(random.next() * variants.length);
+    node.rotation = new THREE.Quaternion();
+    node.scale = new THREE.Vector3(1, 1, 1);
+    node.lift = 0; // Raise above the ground point (rocks sit on their base)
+    node.color = null;
+
+    const euler = new THREE.Euler(0, random.next() * Math.PI * 2, 0);
 
-    const rock = new THREE.Mesh(geometry, material);
-    rock.userData.resourceNode = true;
-    rock.userData.resourceType = "rock";
+    if (node.type === "tree") {
+      node.scale.setScalar(0.9 + random.next() * 0.2);
+    } else if (
+      node.type === "rock" ||
+      node.type === "boulder" ||
+      node.type.endsWith("_ore")
+    ) {
+      euler.x = (random.next() - 0.5) * 0.3;
+      euler.z = (random.next() - 0.5) * 0.3;
+      node.scale.set(
+        1.0 + random.next() * 0.3,
+        0.5 + random.next() * 0.3,
+        1.0 + random.next() * 0.3
+      );
+      node.lift = variants[node.variant].options.baseSize * node.scale.y;
+
+      // Ores keep the colours of their nuggets
+      if (!node.type.endsWith("_ore")) {
+        const grayValue = 0.5 + random.next() * 0.2;
+        node.color = new THREE.Color(grayValue, grayValue, grayValue * 0.95);
+      }
+    } else if (node.type === "plant") {
+      node.scale.set(
+        0.8 + random.next() * 0.4,
+        0.8 + random.next() * 0.4,
+        0.8 + random.next() * 0.4
+      );
+    } else if (node.type === "berry_bush") {
+      const size = 0.85 + random.next() * 0.35;
+      node.scale.set(size, size * (0.8 + random.next() * 0.3), size);
+    } else if (node.type === "mushroom") {
+      node.scale.setScalar(0.8 + random.next() * 0.5);
+    }
 
-    const scaleX = 1.0 + Math.random() * 0.3;
-    const scaleY = 0.5 + Math.random() * 0.3;
-    const scaleZ = 1.0 + Math.random() * 0.3;
-    rock.scale.set(scaleX, scaleY, scaleZ);
+    node.rotation.setFromEuler(euler);
+  }
 
-    const effectiveRadius = baseSize * scaleY;
-    rock.position.set(x, y + effectiveRadius, z);
+  /**
+   * Add a node to its batch (visible)
+   */
+  showNode(node) {
+    if (node.instance) return;
 
-    rock.rotation.set(
-      (Math.random() - 0.5) * 0.3,
-      Math.random() * Math.PI * 2,
-      (Math.random() - 0.5) * 0.3
+    node.instance = this.getBatch(node).add(
+      this.getNodeMatrix(node),
+      node.color
     );
+  }
+
+  /**
+   * Take a node out of its batch (hidden)
+   */
+  hideNode(node) {
+    if (!node.instance) return;
 
-    rock.castShadow = true;
-    rock.receiveShadow = true;
+    // Nothing left to shake or fade
+    window.game?.animationScheduler?.cancelOwner(node);
 
-    this.scene.add(rock);
-    return rock;
+    this.getBatch(node).remove(node.instance);
+    node.instance = null;
   }
 
-  createPlantMesh(x, y, z) {
-    const plantGroup = new THREE.Group();
-    plantGroup.userData.resourceNode = true;
-    plantGroup.userData.resourceType = "plant";
+  /**
+   * Instance matrix for a node, optionally shaken sideways, sunk or shrunk
+   */
+  getNodeMatrix(node, shakeX = 0, shakeZ = 0, sink = 0, scale = 1) {
+    const matrix = this.nodeMatrix || (this.nodeMatrix = new THREE.Matrix4());
+    const position =
+      this.nodePosition || (this.nodePosition = new THREE.Vector3());
+    const size = this.nodeSize || (this.nodeSize = new THREE.Vector3());
+
+    position.set(
+      node.position.x + shakeX,
+      node.position.y + node.lift * scale - sink,
+      node.position.z + shakeZ
+    );
+    size.copy(node.scale).multiplyScalar(scale);
+
+    return matrix.compose(position, node.rotation, size);
+  }
 
-    const stemGeometry = new THREE.CylinderGeometry(0.05, 0.08, 0.8, 6);
-    const stemMaterial = new THREE.MeshStandardMaterial({
-      color: 0x4a7c2c,
-      roughness: 0.9,
-    });
-    const stem = new THREE.Mesh(stemGeometry, stemMaterial);
-    stem.position.y = 0.4;
-    plantGroup.add(stem);
+  updateNodeMatrix(node, shakeX, shakeZ, sink, scale) {
+    if (!node.instance) return;
 
-    for (let i = 0; i < 3; i++) {
-      const leafGeometry = new THREE.ConeGeometry(0.15, 0.4, 4);
-      const leafMaterial = new THREE.MeshStandardMaterial({
-        color: 0x3a8c2a,
-        roughness: 0.8,
-      });
-      const leaf = new THREE.Mesh(leafGeometry, leafMaterial);
-      leaf.position.y = 0.5 + i * 0.15;
-      leaf.rotation.y = (i * Math.PI * 2) / 3;
-      leaf.rotation.z = Math.PI / 4;
-      plantGroup.add(leaf);
-    }
-
-    plantGroup.position.set(x, y, z);
-    plantGroup.scale.set(
-      0.8 + Math.random() * 0.4,
-      0.8 + Math.random() * 0.4,
-      0.8 + Math.random() * 0.4
+    this.getBatch(node).setMatrix(
+      node.instance,
+      this.getNodeMatrix(node, shakeX, shakeZ, sink, scale)
     );
-    this.scene.add(plantGroup);
+  }
 
-    return plantGroup;
+  /**
+   * Draw calls for resource nodes: instanced batches vs one mesh per node part
+   */
+  getDrawCallStats() {
+    let batches = 0;
+    let instances = 0;
+    let unbatched = 0;
+
+    for (const type of Object.keys(this.batches)) {
+      for (const batch of this.batches[type]) {
+        if (batch.count === 0) continue;
+        batches++;
+        instances += batch.count;
+        const parts = batch.geometry.userData.parts;
+        unbatched += batch.count * (parts ? parts.length : 1);
+      }
+    }
+
+    return { batches, instances, unbatched, saved: unbatched - batches };
   }
 
   addInteractionIndicator(node) {
@@ -213,152 +658,153 @@ class ResourceSystem {
     this.spawnGatherParticles(node, Math.floor(10 * amountMultiplier));
 
     // Check if depleted
-    if (node.health <= 0) {
+    const depleted = node.health <= 0;
+    if (depleted) {
       this.depleteNode(node);
+    } else {
+      this.recordNodeState(node);
     }
 
     // Return gathered resources with multiplier
     const baseDrop = this.getResourceDrop(node.type);
     if (baseDrop) {
       baseDrop.amount = Math.floor(baseDrop.amount * amountMultiplier);
+      if (depleted) baseDrop.bonus = this.rollBonusDrop(node.type);
     }
     return baseDrop;
   }
 
   getResourceDrop(type) {
-    switch (type) {
-      case "tree":
-        return { type: "wood", amount: 1 };
-      case "rock":
-        return { type: "stone", amount: 1 };
-      case "plant":
-        return { type: "fiber", amount: 2 };
-      default:
-        return null;
-    }
+    const drop = this.nodeTypes[type]?.drop;
+    return drop ? { ...drop } : null;
   }
 
-  shakeNode(node) {
-    if (!node.mesh) return;
+  /**
+   * The type's bonus drop if its chance comes up, otherwise null
+   */
+  rollBonusDrop(type) {
+    const bonus = this.nodeTypes[type]?.bonusDrop;
+    if (!bonus || Math.random() >= bonus.chance) return null;
+    return { type: bonus.type, amount: bonus.amount };
+  }
 
-    const originalPos = node.position.clone();
-    const shakeAmount = 0.1;
-    const shakeDuration = 200;
-    const startTime = Date.now();
+  /**
+   * Tool a node needs, or null if it can be gathered by hand
+   * Returns { toolType, minTier }
+   */
+  getToolRequirement(type) {
+    const definition = this.nodeTypes[type];
+    if (!definition?.requiredToolType) return null;
 
-    const shake = () => {
-      const elapsed = Date.now() - startTime;
-      if (elapsed < shakeDuration) {
-        const progress = elapsed / shakeDuration;
-        const intensity = (1 - progress) * shakeAmount;
-        node.mesh.position.x =
-          originalPos.x + (Math.random() - 0.5) * intensity;
-        node.mesh.position.z =
-          originalPos.z + (Math.random() - 0.5) * intensity;
-        requestAnimationFrame(shake);
-      } else {
-        node.mesh.position.copy(originalPos);
-      }
+    return {
+      toolType: definition.requiredToolType,
+      minTier: definition.minTier || 1,
     };
-    shake();
   }
 
-  spawnGatherParticles(node, count = 10) {
-    const color = this.getParticleColor(node.type);
+  /**
+   * Whether a tool (item data, or null for bare hands) can gather a node type
+   */
+  meetsToolRequirement(type, tool) {
+    const requirement = this.getToolRequirement(type);
+    if (!requirement) return true;
+
+    return (
+      !!tool &&
+      tool.toolType === requirement.toolType &&
+      (tool.tier || 0) >= requirement.minTier
+    );
+  }
 
-    for (let i = 0; i < count; i++) {
-      const geometry = new THREE.SphereGeometry(0.1, 4, 4);
-      const material = new THREE.MeshBasicMaterial({ color: color });
-      const particle = new THREE.Mesh(geometry, material);
+  shakeNode(node) {
+    const animations = window.game?.animationScheduler;
+    if (!node.instance || !animations) return;
 
-      particle.position.copy(node.position);
-      particle.position.y += 1;
+    const shakeAmount = 0.1;
 
-      const velocity = new THREE.Vector3(
-        (Math.random() - 0.5) * 2,
-        Math.random() * 3 + 1,
-        (Math.random() - 0.5) * 2
-      );
+    animations.cancelOwner(node);
+    animations.animate({
+      duration: 0.2,
+      owner: node,
+      onUpdate: (progress) => {
+        const intensity = (1 - progress) * shakeAmount;
+        this.updateNodeMatrix(
+          node,
+          (Math.random() - 0.5) * intensity,
+          (Math.random() - 0.5) * intensity
+        );
+      },
+      onComplete: () => this.updateNodeMatrix(node),
+    });
+  }
 
-      particle.userData.velocity = velocity;
-      particle.userData.lifetime = 1000;
-      particle.userData.startTime = Date.now();
+  spawnGatherParticles(node, count = 10) {
+    const particles = window.game?.particleSystem;
+    if (!particles) return;
 
-      this.scene.add(particle);
-      this.particlePool.push(particle);
-    }
+    const origin =
+      this.particleOrigin || (this.particleOrigin = new THREE.Vector3());
+    origin.copy(node.position);
+    origin.y += 1;
+
+    particles.emit("gather", origin, count, {
+      color: this.getParticleColor(node.type),
+    });
   }
 
   getParticleColor(type) {
-    switch (type) {
-      case "tree":
-        return 0x8b4513;
-      case "rock":
-        return 0x808080;
-      case "plant":
-        return 0x00ff00;
-      default:
-        return 0xffffff;
-    }
+    return this.nodeTypes[type]?.particleColor ?? 0xffffff;
   }
 
   depleteNode(node) {
     node.canGather = false;
 
-    if (node.mesh) {
-      const fadeDuration = 500;
-      const startTime = Date.now();
-      const originalScale = node.mesh.scale.clone();
-
-      const fade = () => {
-        const elapsed = Date.now() - startTime;
-        const progress = elapsed / fadeDuration;
-
-        if (progress < 1) {
-          const scale = 1 - progress;
-          node.mesh.scale.copy(originalScale).multiplyScalar(scale);
-          node.mesh.position.y = node.position.y - progress * 2;
-          requestAnimationFrame(fade);
-        } else {
-          this.scene.remove(node.mesh);
-          node.mesh = null;
-        }
-      };
-      fade();
+    if (node.type === "berry_bush") {
+      // Picked bushes stay, bare, until the berries grow back
+      this.hideNode(node);
+      node.picked = true;
+      this.showNode(node);
+    } else if (node.instance && window.game?.animationScheduler) {
+      // Sink and shrink away, replacing the shake from the last hit
+      const animations = window.game.animationScheduler;
+      animations.cancelOwner(node);
+      animations.animate({
+        duration: 0.5,
+        owner: node,
+        onUpdate: (progress) =>
+          this.updateNodeMatrix(node, 0, 0, progress * 2, 1 - progress),
+        onComplete: () => this.hideNode(node),
+      });
+    } else {
+      this.hideNode(node);
     }
 
     if (node.indicator) {
       node.indicator.visible = false;
     }
 
-    node.respawnTimer = setTimeout(() => {
-      this.respawnNode(node);
-    }, node.respawnTime);
+    // Plants regrow quickly in summer and barely at all in winter
+    let respawnTime = node.respawnTime;
+    const growsBack = ["plant", "berry_bush", "mushroom"].includes(node.type);
+    if (growsBack && window.game?.seasonSystem) {
+      respawnTime *= window.game.seasonSystem.getPlantRespawnMultiplier();
+    }
+
+    node.respawnRemaining = respawnTime;
+    this.recordNodeState(node);
+    this.saveNodeStates();
   }
 
   respawnNode(node) {
     node.health = node.maxHealth;
     node.canGather = true;
+    node.respawnRemaining = 0;
+    this.recordNodeState(node);
 
-    if (node.type === "tree") {
-      node.mesh = this.createTreeMesh(
-        node.position.x,
-        node.position.y,
-        node.position.z
-      );
-    } else if (node.type === "rock") {
-      node.mesh = this.createRockMesh(
-        node.position.x,
-        node.position.y,
-        node.position.z
-      );
-    } else if (node.type === "plant") {
-      node.mesh = this.createPlantMesh(
-        node.position.x,
-        node.position.y,
-        node.position.z
-      );
-    }
+    // Swap a picked bush back to its full shape
+    this.hideNode(node);
+    node.picked = false;
+    this.showNode(node);
 
     if (node.indicator) {
       node.indicator.visible = true;
@@ -367,29 +813,115 @@ class ResourceSystem {
     console.log(`♻️ ${node.type} respawned`);
   }
 
-  updateParticles(deltaTime) {
-    const now = Date.now();
+  /**
+   * Count down regrowth on the game clock, so it stops while the game does and
+   * speeds up with it; nodes in unloaded chunks come back when next loaded
+   * @param {Number} deltaTime - Real seconds since the last frame
+   * @param {Number} gameHours - Game hours since the last frame
+   */
+  update(deltaTime, gameHours) {
+    for (const [id, state] of this.nodeStates) {
+      if (!(state.respawnRemaining > 0)) continue;
 
-    for (let i = this.particlePool.length - 1; i >= 0; i--) {
-      const particle = this.particlePool[i];
-      const elapsed = now - particle.userData.startTime;
+      state.respawnRemaining -= gameHours;
+      const node = this.nodesById.get(id);
+      if (node) node.respawnRemaining = state.respawnRemaining;
 
-      if (elapsed > particle.userData.lifetime) {
-        this.scene.remove(particle);
-        this.particlePool.splice(i, 1);
-      } else {
-        particle.userData.velocity.y -= 9.8 * deltaTime;
-        particle.position.add(
-          particle.userData.velocity.clone().multiplyScalar(deltaTime)
-        );
+      if (state.respawnRemaining <= 0) {
+        if (node) {
+          this.respawnNode(node);
+        } else {
+          this.nodeStates.delete(id);
+        }
+        this.statesChanged = true;
+      }
+    }
 
-        const alpha = 1 - elapsed / particle.userData.lifetime;
-        particle.material.opacity = alpha;
-        particle.material.transparent = true;
+    // Remaining times change every frame, so save them now and then
+    this.saveTimer += deltaTime;
+    if (this.saveTimer >= this.saveInterval) {
+      this.saveTimer = 0;
+      if (this.statesChanged || this.nodeStates.size > 0) {
+        this.saveNodeStates();
       }
     }
   }
 
+  saveNodeStates() {
+    try {
+      const nodes = [];
+      for (const [id, state] of this.nodeStates) {
+        nodes.push([
+          id,
+          state.health,
+          Math.max(0, Number(state.respawnRemaining.toFixed(3))),
+          state.picked ? 1 : 0,
+        ]);
+      }
+
+      const saveData = {
+        seed: this.terrain.seed,
+        heightmap: this.terrain.heightmap ? this.terrain.heightmap.name : null,
+        nodes: nodes,
+        timestamp: Date.now(),
+        version: "1.0",
+      };
+
+      localStorage.setItem(
+        "Survival3d_resourceNodes",
+        JSON.stringify(saveData)
+      );
+      this.statesChanged = false;
+    } catch (error) {
+      console.error("❌ Failed to save resource nodes:", error);
+    }
+  }
+
+  loadNodeStates() {
+    try {
+      const savedData = localStorage.getItem("Survival3d_resourceNodes");
+      if (!savedData) return;
+
+      const saveData = JSON.parse(savedData);
+
+      // Node ids only match on the world they were saved in
+      const heightmap = this.terrain.heightmap
+        ? this.terrain.heightmap.name
+        : null;
+      if (
+        saveData.seed !== this.terrain.seed ||
+        (saveData.heightmap || null) !== heightmap
+      ) {
+        console.log("🌱 Resource nodes belong to another world, ignoring them");
+        return;
+      }
+
+      for (const [id, health, respawnRemaining, picked] of saveData.nodes ||
+        []) {
+        this.nodeStates.set(id, {
+          health,
+          respawnRemaining,
+          picked: picked === 1,
+        });
+      }
+
+      console.log(`📂 Loaded ${this.nodeStates.size} resource node states`);
+    } catch (error) {
+      console.error("❌ Failed to load resource nodes:", error);
+    }
+  }
+
+  /**
+   * Bring every damaged and depleted node back (debug)
+   */
+  respawnAll() {
+    for (const node of this.resourceNodes) {
+      if (this.nodeStates.has(node.id)) this.respawnNode(node);
+    }
+    this.nodeStates.clear();
+    this.saveNodeStates();
+  }
+
   showIndicator(node) {
     if (node.indicator && node.canGather) {
       node.indicator.visible = true;
@@ -420,3 +952,156 @@ class ResourceSystem {
     return closest;
   }
 }
+
+/**
+ * One InstancedMesh holding many copies of a shape
+ * Instances are handles ({ index }); removing one moves the last instance into its slot
+ */
+class InstanceBatch {
+  constructor(scene, geometry, material, options = {}) {
+    this.scene = scene;
+    this.geometry = geometry;
+    this.material = material;
+    this.options = options;
+    this.handles = [];
+    this.count = 0;
+    this.mesh = null;
+
+    this.allocate(64);
+  }
+
+  /**
+   * (Re)create the InstancedMesh with room for capacity instances
+   */
+  allocate(capacity) {
+    const mesh = new THREE.InstancedMesh(
+      this.geometry,
+      this.material,
+      capacity
+    );
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    if (this.options.colors) {
+      mesh.instanceColor = new THREE.InstancedBufferAttribute(
+        new Float32Array(capacity * 3),
+        3
+      );
+    }
+
+    // Instances are spread over the whole loaded area
+    mesh.frustumCulled = false;
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    mesh.userData.resourceNode = true;
+
+    if (this.mesh) {
+      mesh.instanceMatrix.array.set(this.mesh.instanceMatrix.array);
+      if (this.options.colors) {
+        mesh.instanceColor.array.set(this.mesh.instanceColor.array);
+      }
+      this.scene.remove(this.mesh);
+      this.mesh.dispose();
+    }
+
+    mesh.count = this.count;
+    mesh.visible = this.count > 0;
+    this.capacity = capacity;
+    this.mesh = mesh;
+    this.scene.add(mesh);
+  }
+
+  add(matrix, color) {
+    if (this.count === this.capacity) {
+      this.allocate(this.capacity * 2);
+    }
+
+    const handle = { index: this.count };
+    this.handles[handle.index] = handle;
+    this.count++;
+    this.mesh.count = this.count;
+    this.mesh.visible = true;
+
+    this.setMatrix(handle, matrix);
+    if (color && this.options.colors) {
+      this.mesh.setColorAt(handle.index, color);
+      this.mesh.instanceColor.needsUpdate = true;
+    }
+
+    return handle;
+  }
+
+  remove(handle) {
+    const last = this.handles[this.count - 1];
+
+    if (last !== handle) {
+      // Move the last instance into the freed slot
+      const matrices = this.mesh.instanceMatrix.array;
+      matrices.copyWithin(
+        handle.index * 16,
+        last.index * 16,
+        last.index * 16 + 16
+      );
+      if (this.options.colors) {
+        const colors = this.mesh.instanceColor.array;
+        colors.copyWithin(handle.index * 3, last.index * 3, last.index * 3 + 3);
+        this.mesh.instanceColor.needsUpdate = true;
+      }
+
+      last.index = handle.index;
+      this.handles[last.index] = last;
+    }
+
+    this.handles.length = this.count - 1;
+    this.count--;
+    this.mesh.count = this.count;
+    this.mesh.visible = this.count > 0;
+    this.mesh.instanceMatrix.needsUpdate = true;
+  }
+
+  setMatrix(handle, matrix) {
+    this.mesh.setMatrixAt(handle.index, matrix);
+    this.mesh.instanceMatrix.needsUpdate = true;
+  }
+
+  /**
+   * Merge geometries into one non-indexed geometry with a flat vertex colour per part
+   * parts: [{ geometry, color }]
+   */
+  static mergeColoredGeometries(parts) {
+    const positions = [];
+    const normals = [];
+    const colors = [];
+    const color = new THREE.Color();
+    const ranges = []; // First vertex and vertex count of each part
+
+    for (const part of parts) {
+      const geometry = part.geometry.index
+        ? part.geometry.toNonIndexed()
+        : part.geometry;
+      color.set(part.color);
+      ranges.push({
+        start: positions.length / 3,
+        count: geometry.attributes.position.count,
+      });
+
+      positions.push(...geometry.attributes.position.array);
+      normals.push(...geometry.attributes.normal.array);
+      for (let i = 0; i < geometry.attributes.position.count; i++) {
+        colors.push(color.r, color.g, color.b);
+      }
+
+      part.geometry.dispose();
+    }
+
+    const merged = new THREE.BufferGeometry();
+    merged.setAttribute(
+      "position",
+      new THREE.Float32BufferAttribute(positions, 3)
+    );
+    merged.setAttribute("normal", new THREE.Float32BufferAttribute(normals, 3));
+    merged.setAttribute("color", new THREE.Float32BufferAttribute(colors, 3));
+    merged.computeBoundingSphere();
+    merged.userData.parts = ranges;
+
+    return merged;
+  }
+}
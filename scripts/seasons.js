@@ -0,0 +1,214 @@
+/**
+ * Season System
+ * A calendar of days on top of the game clock, cycling spring, summer, autumn
+ * and winter, with day length, temperature, foliage and plant growth per season
+ */
+
+class SeasonSystem {
+  constructor(options = {}) {
+    this.terrain = options.terrain; // The calendar is saved with this world
+    this.daysPerSeason = options.daysPerSeason || 4;
+    this.day = 0; // Days since the world began
+    this.gameHour = 8; // Clock time, kept in step by EdenfallGame
+
+    // Values are for the middle of each season and blend into the next one
+    // dayLength: hours from sunrise to sunset, temperature: °C added to the
+    // daily curve, foliage: tree colour, plantRespawn: multiplier on regrow time
+    this.seasons = [
+      {
+        id: "spring",
+        name: "Spring",
+        emoji: "🌸",
+        dayLength: 12,
+        temperature: 0,
+        foliage: 0x3f7a22,
+        plantRespawn: 0.75,
+      },
+      {
+        id: "summer",
+        name: "Summer",
+        emoji: "☀️",
+        dayLength: 15,
+        temperature: 6,
+        foliage: 0x2d5016,
+        plantRespawn: 0.6,
+      },
+      {
+        id: "autumn",
+        name: "Autumn",
+        emoji: "🍂",
+        dayLength: 11,
+        temperature: -3,
+        foliage: 0xa8561c,
+        plantRespawn: 1.5,
+      },
+      {
+        id: "winter",
+        name: "Winter",
+        emoji: "❄️",
+        dayLength: 8,
+        temperature: -10,
+        foliage: 0x6e8071,
+        plantRespawn: 3,
+      },
+    ];
+
+    this.loadCalendar();
+
+    console.log(
+      `🍂 Season system initialized: day ${this.day + 1}, ${
+        this.getSeason().name
+      }`
+    );
+  }
+
+  getSeason() {
+    const index = Math.floor(this.day / this.daysPerSeason) % 4;
+    return this.seasons[index];
+  }
+
+  /**
+   * Day within the current season (1-based)
+   */
+  getDayOfSeason() {
+    return (this.day % this.daysPerSeason) + 1;
+  }
+
+  update(gameHour) {
+    this.gameHour = gameHour;
+  }
+
+  /**
+   * Called when the clock passes midnight
+   */
+  advanceDay() {
+    const previous = this.getSeason();
+    this.day++;
+
+    const season = this.getSeason();
+    if (season !== previous) {
+      console.log(`${season.emoji} ${season.name} has begun`);
+    }
+
+    this.saveCalendar();
+  }
+
+  /**
+   * Jump to the first day of a season (debug)
+   */
+  setSeason(id) {
+    const index = this.seasons.findIndex((s) => s.id === id);
+    if (index < 0) return false;
+
+    const year = Math.floor(this.day / (this.daysPerSeason * 4));
+    this.day = (year * 4 + index) * this.daysPerSeason;
+    this.saveCalendar();
+    return true;
+  }
+
+  setDaysPerSeason(days) {
+    days = Math.max(1, Math.floor(days));
+
+    // Stay in the same year, season and day of it
+    const year = Math.floor(this.day / (this.daysPerSeason * 4));
+    const season = this.seasons.indexOf(this.getSeason());
+    const dayOfSeason = Math.min(this.day % this.daysPerSeason, days - 1);
+
+    this.daysPerSeason = days;
+    this.day = (year * 4 + season) * this.daysPerSeason + dayOfSeason;
+    this.saveCalendar();
+  }
+
+  /**
+   * Blend a season property between the mid-points of the seasons around now
+   */
+  getBlend() {
+    const seasons =
+      (this.day + this.gameHour / 24) / this.daysPerSeason - 0.5 + 4;
+    const index = Math.floor(seasons);
+    return {
+      from: this.seasons[index % 4],
+      to: this.seasons[(index + 1) % 4],
+      t: seasons - index,
+    };
+  }
+
+  getValue(property) {
+    const { from, to, t } = this.getBlend();
+    return from[property] + (to[property] - from[property]) * t;
+  }
+
+  getFoliageColor(target = new THREE.Color()) {
+    const { from, to, t } = this.getBlend();
+    const next = this.nextColor || (this.nextColor = new THREE.Color());
+    return target.set(from.foliage).lerp(next.set(to.foliage), t);
+  }
+
+  getTemperatureOffset() {
+    return this.getValue("temperature");
+  }
+
+  getPlantRespawnMultiplier() {
+    return this.getValue("plantRespawn");
+  }
+
+  /**
+   * Map the clock to the hour the lighting curve expects for a 12-hour day
+   * (sunrise at 6, sunset at 18), stretching daylight to the season's length
+   */
+  getSolarHour(gameHour) {
+    const dayLength = this.getValue("dayLength");
+    const sunrise = 12 - dayLength / 2;
+    const sunset = 12 + dayLength / 2;
+
+    if (gameHour >= sunrise && gameHour < sunset) {
+      return 6 + ((gameHour - sunrise) / dayLength) * 12;
+    }
+
+    const sinceSunset = (gameHour - sunset + 24) % 24;
+    return (18 + (sinceSunset / (24 - dayLength)) * 12) % 24;
+  }
+
+  saveCalendar() {
+    try {
+      const saveData = {
+        seed: this.terrain.seed,
+        heightmap: this.terrain.heightmap ? this.terrain.heightmap.name : null,
+        day: this.day,
+        daysPerSeason: this.daysPerSeason,
+        timestamp: Date.now(),
+        version: "1.0",
+      };
+
+      localStorage.setItem("Survival3d_calendar", JSON.stringify(saveData));
+    } catch (error) {
+      console.error("❌ Failed to save calendar:", error);
+    }
+  }
+
+  loadCalendar() {
+    try {
+      const savedData = localStorage.getItem("Survival3d_calendar");
+      if (!savedData) return;
+
+      const saveData = JSON.parse(savedData);
+
+      // Another world starts on its own first day
+      const heightmap = this.terrain.heightmap
+        ? this.terrain.heightmap.name
+        : null;
+      if (
+        saveData.seed !== this.terrain.seed ||
+        (saveData.heightmap || null) !== heightmap
+      ) {
+        console.log("🌱 Saved calendar belongs to another world, ignoring it");
+        return;
+      }
+
+      this.day = saveData.day || 0;
+      this.daysPerSeason = saveData.daysPerSeason || this.daysPerSeason;
+    } catch (error) {
+      console.error("❌ Failed to load calendar:", error);
+    }
+  }
+}
@@ -1,180 +1,1102 @@
 /**
  * Procedural Terrain Generator
- * Creates hills, valleys, and natural landscapes
+ * Creates hills, valleys, and natural landscapes as chunks streamed around the player
+ * Chunk data is generated by WorldGenerator in a Web Worker; this thread only builds meshes
  */
 
 class TerrainGenerator {
-  constructor(scene) {
+  constructor(scene, seed, heightmap = null) {
     console.log("🏔️ TerrainGenerator: Starting initialization...");
     this.scene = scene;
-    this.terrainSize = 200;
-    this.terrainSegments = 100;
+    this.seed = String(seed);
     this.heightScale = 15;
-    this.mesh = null;
+
+    // Imported heightmap { width, height, data (Uint16Array), heightScale, size }
+    // replaces the noise; black is -heightScale, white is +heightScale
+    this.heightmap = heightmap;
+    if (heightmap) {
+      this.heightScale = heightmap.heightScale;
+      console.log(
+        `🗺️ Using ${heightmap.width}x${heightmap.height} heightmap over ${heightmap.size} units`
+      );
+    }
+
+    this.seaLevel = -2.5;
+    this.hydrology = null; // Rivers and lakes, set once HydrologySystem has run
+    this.mesh = null; // Group holding every resident chunk mesh
     this.raycaster = new THREE.Raycaster();
 
+    // Chunk streaming settings
+    this.chunkSize = 64;
+    this.chunkSegments = 32; // 2 world units per cell
+    this.viewDistance = 9; // Chunks loaded in each direction
+    this.unloadDistance = 10; // Chunks beyond this are removed
+    this.startDistance = 3; // Chunks generate() waits for around spawn
+    this.maxChunkBuildsPerFrame = 2;
+    this.maxPendingChunks = 4; // Chunk requests in flight to the worker
+
+    this.chunks = new Map();
+    this.worldVersion = 0; // Bumped whenever edits or hydrology change the heights
+    this.pendingChunks = new Map(); // key -> promise of the loaded chunk
+    this.lastQueriedChunk = null;
+    this.chunkQueue = [];
+    this.centerChunk = null;
+    this.chunkLoadListeners = [];
+    this.chunkUnloadListeners = [];
+
+    // Level of detail (geomipmapping): chunks further than lodDistances[i]
+    // chunks away use level i + 1, each level halving the mesh resolution
+    this.lodDistances = [1, 2, 4];
+    this.skirtDepth = 2; // Per level; skirts hang below chunk edges to hide cracks
+    this.lodIndices = []; // Triangle indices shared by every chunk at a level
+
+    // Noise, biomes, colours and resource placement; the same generator runs
+    // in the worker and answers synchronous queries here
+    this.generator = new WorldGenerator({
+      seed: this.seed,
+      heightmap: heightmap,
+      chunkSize: this.chunkSize,
+      chunkSegments: this.chunkSegments,
+    });
+    this.random = this.generator.random;
+    this.biomes = this.generator.biomes;
+
+    // What the ground is made of, for movement, temperature and footsteps
+    // speed multiplies walking speed, temperature is a °C offset
+    this.surfaceMaterials = {
+      water: { id: "water", name: "Water", speed: 0.6, temperature: -3 },
+      sand: { id: "sand", name: "Sand", speed: 0.85, temperature: 2 },
+      grass: { id: "grass", name: "Grass", speed: 1, temperature: 0 },
+      rock: { id: "rock", name: "Rock", speed: 0.95, temperature: -1 },
+      snow: { id: "snow", name: "Snow", speed: 0.7, temperature: -4 },
+    };
+
+    // Player digging: grid vertex "gx,gz" -> height offset
+    this.heightEdits = this.generator.heightEdits;
+    this.maxEditOffset = 6;
+    this.terrainEditListeners = [];
+    this.loadTerrainEdits();
+
+    // Worker requests waiting for a reply: id -> { type, payload, resolve, reject }
+    this.worker = null;
+    this.requests = new Map();
+    this.nextRequestId = 1;
+    this.startWorker();
+
+    console.log("✅ TerrainGenerator: Initialization complete");
+  }
+
+  /**
+   * Start the world generation worker
+   * Without workers (or from file://) chunks are generated on this thread instead
+   */
+  startWorker() {
+    if (typeof Worker === "undefined") {
+      console.warn("⚠️ Web Workers unavailable, generating on the main thread");
+      return;
+    }
+
     try {
-      this.generate();
-      console.log("✅ TerrainGenerator: Initialization complete");
+      this.worker = new Worker("scripts/worldgen-worker.js");
     } catch (error) {
-      console.error("❌ TerrainGenerator: Failed to generate terrain", error);
-      throw error;
+      console.warn(
+        "⚠️ World generation worker unavailable, generating on the main thread",
+        error
+      );
+      return;
     }
+
+    this.worker.onmessage = (event) => this.onWorkerMessage(event.data);
+    this.worker.onerror = (event) => this.stopWorker(event);
+
+    this.worker.postMessage({
+      type: "init",
+      payload: {
+        seed: this.seed,
+        heightmap: this.heightmap,
+        chunkSize: this.chunkSize,
+        chunkSegments: this.chunkSegments,
+        edits: Array.from(this.heightEdits),
+      },
+    });
+
+    console.log("🧵 World generation worker started");
   }
 
-  noise(x, z) {
-    let value = 0;
-    let amplitude = 1;
-    let frequency = 0.02;
+  /**
+   * Fall back to the main thread and finish any requests the worker still owed
+   */
+  stopWorker(error) {
+    console.error(
+      "❌ World generation worker failed, generating on the main thread:",
+      error.message
+    );
 
-    for (let i = 0; i < 5; i++) {
-      value += amplitude * this.simplex2D(x * frequency, z * frequency);
-      amplitude *= 0.5;
-      frequency *= 2;
-    }
+    this.worker.terminate();
+    this.worker = null;
 
-    return value;
+    const requests = Array.from(this.requests.values());
+    this.requests.clear();
+    for (const request of requests) {
+      this.runRequest(request);
+    }
   }
 
-  simplex2D(x, z) {
-    const X = Math.floor(x);
-    const Z = Math.floor(z);
-    const xf = x - X;
-    const zf = z - Z;
+  onWorkerMessage(message) {
+    const request = this.requests.get(message.id);
+    if (!request) return;
 
-    const a = this.hash(X, Z);
-    const b = this.hash(X + 1, Z);
-    const c = this.hash(X, Z + 1);
-    const d = this.hash(X + 1, Z + 1);
+    this.requests.delete(message.id);
+    if (message.error) {
+      request.reject(new Error(message.error));
+    } else {
+      request.resolve(message.result);
+    }
+  }
 
-    const u = xf * xf * (3.0 - 2.0 * xf);
-    const v = zf * zf * (3.0 - 2.0 * zf);
+  /**
+   * Ask the generator for data ("chunk", "baseHeights"); resolves with the result
+   */
+  requestGeneration(type, payload) {
+    return new Promise((resolve, reject) => {
+      const request = { type, payload, resolve, reject };
 
-    const result = this.lerp(this.lerp(a, b, u), this.lerp(c, d, u), v);
+      if (!this.worker) {
+        this.runRequest(request);
+        return;
+      }
 
-    return result * 2 - 1;
+      const id = this.nextRequestId++;
+      this.requests.set(id, request);
+      this.worker.postMessage({ id, type, payload });
+    });
   }
 
-  hash(x, z) {
-    const h = Math.sin(x * 12.9898 + z * 78.233) * 43758.5453;
-    return h - Math.floor(h);
+  runRequest(request) {
+    try {
+      request.resolve(
+        this.generator.handleMessage(request.type, request.payload).result
+      );
+    } catch (error) {
+      request.reject(error);
+    }
   }
 
-  lerp(a, b, t) {
-    return a + (b - a) * t;
+  /**
+   * Keep the worker's copy of the world (edits, hydrology) in step with this one
+   */
+  syncWorker(type, payload) {
+    if (this.worker) {
+      this.worker.postMessage({ type, payload });
+    }
   }
 
-  generate() {
-    console.log("🏔️ Generating terrain geometry...");
+  /**
+   * Seeded random stream for another system (same seed = same results)
+   */
+  createRandom(label) {
+    return this.random.fork(label);
+  }
 
-    const geometry = new THREE.PlaneGeometry(
-      this.terrainSize,
-      this.terrainSize,
-      this.terrainSegments,
-      this.terrainSegments
-    );
+  /**
+   * Height of the generated landscape at a world position
+   */
+  getBaseHeight(worldX, worldZ) {
+    return this.generator.getBaseHeight(worldX, worldZ);
+  }
 
-    const positionAttribute = geometry.attributes.position;
-
-    console.log(`🏔️ Generating ${positionAttribute.count} terrain vertices...`);
-
-    // Generate terrain heights
-    for (let i = 0; i < positionAttribute.count; i++) {
-      const x = positionAttribute.getX(i);
-      const y = positionAttribute.getY(i);
-
-      const height = this.noise(x, y) * this.heightScale;
-      positionAttribute.setZ(i, height);
-    }
-
-    geometry.computeVertexNormals();
-    console.log("✅ Terrain vertices generated");
-
-    // Color the terrain
-    console.log("🎨 Coloring terrain...");
-    const colors = [];
-    for (let i = 0; i < positionAttribute.count; i++) {
-      const height = positionAttribute.getZ(i);
-
-      const deepWaterColor = new THREE.Color(0x1a4d6d);
-      const waterColor = new THREE.Color(0x2e7d9e);
-      const sandColor = new THREE.Color(0xd4c4a8);
-      const grassColor = new THREE.Color(0x4a7c2c);
-      const darkGrassColor = new THREE.Color(0x365c1f);
-      const mountainColor = new THREE.Color(0x8b7355);
-      const snowColor = new THREE.Color(0xf5f5f5);
-
-      let color;
-
-      if (height < -5) {
-        color = deepWaterColor;
-      } else if (height < -2.5) {
-        const t = (height + 5) / 2.5;
-        color = deepWaterColor.clone().lerp(waterColor, t);
-      } else if (height < -0.5) {
-        const t = (height + 2.5) / 2;
-        color = waterColor.clone().lerp(sandColor, t);
-      } else if (height < 2) {
-        const t = (height + 0.5) / 2.5;
-        color = sandColor.clone().lerp(grassColor, t);
-      } else if (height < 7) {
-        const t = (height - 2) / 5;
-        color = grassColor.clone().lerp(darkGrassColor, t);
-      } else if (height < 11) {
-        const t = (height - 7) / 4;
-        color = darkGrassColor.clone().lerp(mountainColor, t);
-      } else {
-        const t = Math.min(1, (height - 11) / 4);
-        color = mountainColor.clone().lerp(snowColor, t);
-      }
+  /**
+   * Generated heights for a square block of grid vertices, from the worker
+   */
+  requestBaseHeights(originX, originZ, size) {
+    return this.requestGeneration("baseHeights", { originX, originZ, size });
+  }
 
-      colors.push(color.r, color.g, color.b);
-    }
+  /**
+   * Height of a grid vertex, including erosion, river beds and player edits
+   */
+  getGridHeight(gridX, gridZ) {
+    return this.generator.getGridHeight(gridX, gridZ);
+  }
 
-    geometry.setAttribute("color", new THREE.Float32BufferAttribute(colors, 3));
-    console.log("✅ Terrain colored");
+  /**
+   * Biome at a world position (for placement, spawning, HUD and temperature)
+   */
+  getBiomeAt(worldX, worldZ) {
+    return this.generator.classifyBiome(
+      worldX,
+      worldZ,
+      this.getHeightAt(worldX, worldZ)
+    );
+  }
+
+  /**
+   * Build the starting area; resolves once the chunks within startDistance
+   * are in the scene. The rest of the view streams in per frame through update()
+   */
+  async generate() {
+    console.log("🏔️ Generating terrain chunks...");
 
-    const material = new THREE.MeshStandardMaterial({
+    this.material = new THREE.MeshStandardMaterial({
       vertexColors: true,
       roughness: 0.9,
       metalness: 0.1,
       flatShading: false,
     });
 
-    this.mesh = new THREE.Mesh(geometry, material);
+    this.mesh = new THREE.Group();
     this.mesh.name = "terrain";
-    this.mesh.rotation.x = -Math.PI / 2;
-    this.mesh.receiveShadow = true;
-    this.mesh.castShadow = false;
+    this.scene.add(this.mesh);
 
-    // Force matrix update
-    this.mesh.updateMatrix();
-    this.mesh.updateMatrixWorld(true);
+    this.update(new THREE.Vector3(0, 0, 0));
 
-    this.scene.add(this.mesh);
+    // Request the whole starting area now instead of a few chunks per frame
+    this.chunkQueue = this.chunkQueue.filter((next) => {
+      if (this.getChunkDistance(next.x, next.z) > this.startDistance) {
+        return true;
+      }
+      this.loadChunk(next.x, next.z);
+      return false;
+    });
+    await Promise.all(this.pendingChunks.values());
+
+    console.log(`✅ Terrain generated (${this.chunks.size} chunks)`);
+  }
+
+  /**
+   * Read a greyscale image (PNG etc.) into heightmap data, using the red channel
+   */
+  static parseHeightmapImage(image) {
+    const canvas = document.createElement("canvas");
+    canvas.width = image.width;
+    canvas.height = image.height;
+
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(image, 0, 0);
+    const pixels = ctx.getImageData(0, 0, image.width, image.height).data;
+
+    const data = new Uint16Array(image.width * image.height);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = pixels[i * 4] * 257;
+    }
+
+    return { width: image.width, height: image.height, data };
+  }
+
+  /**
+   * Read a square raw 16-bit little-endian heightmap (.raw / .r16)
+   */
+  static parseHeightmapRaw(buffer) {
+    const size = Math.sqrt(buffer.byteLength / 2);
+    if (!Number.isInteger(size) || size < 2) {
+      throw new Error(
+        `Raw heightmap must be square 16-bit data (got ${buffer.byteLength} bytes)`
+      );
+    }
+
+    const view = new DataView(buffer);
+    const data = new Uint16Array(size * size);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = view.getUint16(i * 2, true);
+    }
+
+    return { width: size, height: size, data };
+  }
+
+  /**
+   * Stream chunks around a position (call every frame with the player position)
+   */
+  update(position) {
+    const chunkX = Math.floor(position.x / this.chunkSize);
+    const chunkZ = Math.floor(position.z / this.chunkSize);
+
+    if (
+      !this.centerChunk ||
+      this.centerChunk.x !== chunkX ||
+      this.centerChunk.z !== chunkZ
+    ) {
+      this.centerChunk = { x: chunkX, z: chunkZ };
+      this.refreshChunkQueue();
+      this.unloadDistantChunks();
+      this.updateChunkLods();
+    }
+
+    // Spread chunk requests over several frames
+    let builds = this.maxChunkBuildsPerFrame;
+    while (
+      builds > 0 &&
+      this.pendingChunks.size < this.maxPendingChunks &&
+      this.chunkQueue.length > 0
+    ) {
+      const next = this.chunkQueue.shift();
+      const key = this.getChunkKey(next.x, next.z);
+      if (!this.chunks.has(key) && !this.pendingChunks.has(key)) {
+        this.loadChunk(next.x, next.z);
+        builds--;
+      }
+    }
+  }
+
+  /**
+   * Queue missing chunks within view distance, nearest first
+   */
+  refreshChunkQueue() {
+    const center = this.centerChunk;
+    const queue = [];
 
-    console.log("✅ Terrain mesh added to scene");
-    console.log("🏔️ Terrain position:", this.mesh.position);
-    console.log("🏔️ Terrain rotation:", this.mesh.rotation);
+    for (let dz = -this.viewDistance; dz <= this.viewDistance; dz++) {
+      for (let dx = -this.viewDistance; dx <= this.viewDistance; dx++) {
+        const x = center.x + dx;
+        const z = center.z + dz;
+        const key = this.getChunkKey(x, z);
+        if (!this.chunks.has(key) && !this.pendingChunks.has(key)) {
+          queue.push({ x, z, distance: dx * dx + dz * dz });
+        }
+      }
+    }
+
+    queue.sort((a, b) => a.distance - b.distance);
+    this.chunkQueue = queue;
+  }
+
+  unloadDistantChunks() {
+    for (const chunk of Array.from(this.chunks.values())) {
+      if (this.getChunkDistance(chunk.x, chunk.z) > this.unloadDistance) {
+        this.unloadChunk(chunk);
+      }
+    }
+  }
+
+  /**
+   * Chunks between a chunk and the one the player is in (square rings)
+   */
+  getChunkDistance(chunkX, chunkZ) {
+    const center = this.centerChunk;
+    return Math.max(Math.abs(chunkX - center.x), Math.abs(chunkZ - center.z));
+  }
+
+  /**
+   * Detail level for a chunk at a distance (0 = full resolution)
+   */
+  getLodLevel(distance) {
+    let level = 0;
+    while (
+      level < this.lodDistances.length &&
+      distance > this.lodDistances[level]
+    ) {
+      level++;
+    }
+    return level;
+  }
+
+  /**
+   * Swap chunk meshes to the detail level for their new distance
+   */
+  updateChunkLods() {
+    for (const chunk of this.chunks.values()) {
+      const level = this.getLodLevel(this.getChunkDistance(chunk.x, chunk.z));
+      if (level !== chunk.lod) {
+        chunk.lod = level;
+        chunk.mesh.geometry.dispose();
+        chunk.mesh.geometry = this.createChunkGeometry(chunk);
+      }
+    }
+  }
+
+  /**
+   * Number of resident chunks at each detail level (for the performance panel)
+   */
+  getLodStats() {
+    const counts = new Array(this.lodDistances.length + 1).fill(0);
+    for (const chunk of this.chunks.values()) {
+      counts[chunk.lod]++;
+    }
+    return counts;
   }
 
-  // Get height using raycasting
+  /**
+   * Request a chunk from the worker; resolves with the chunk once its mesh is added
+   * (or null if the player moved away while it was generating)
+   */
+  loadChunk(chunkX, chunkZ) {
+    const key = this.getChunkKey(chunkX, chunkZ);
+    const version = this.worldVersion;
+
+    const promise = this.requestGeneration("chunk", {
+      x: chunkX,
+      z: chunkZ,
+      resources: true,
+    })
+      .then((data) => {
+        this.pendingChunks.delete(key);
+
+        // Dug or flooded while generating - ask again with the new terrain
+        if (version !== this.worldVersion) {
+          return this.loadChunk(chunkX, chunkZ);
+        }
+
+        return this.isChunkInRange(chunkX, chunkZ)
+          ? this.addChunk(chunkX, chunkZ, data)
+          : null;
+      })
+      .catch((error) => {
+        this.pendingChunks.delete(key);
+        console.error(`❌ Failed to generate chunk ${key}:`, error);
+        return null;
+      });
+
+    this.pendingChunks.set(key, promise);
+    return promise;
+  }
+
+  isChunkInRange(chunkX, chunkZ) {
+    return this.getChunkDistance(chunkX, chunkZ) <= this.unloadDistance;
+  }
+
+  /**
+   * Add the mesh for generated chunk data and tell listeners about it
+   */
+  addChunk(chunkX, chunkZ, data) {
+    const key = this.getChunkKey(chunkX, chunkZ);
+
+    // Height grid kept for fast analytic height queries, normals and colours
+    // for rebuilding the mesh at another level, resource nodes as
+    // [typeIndex, x, y, z, ...] for EnvironmentGenerator
+    const chunk = {
+      key,
+      x: chunkX,
+      z: chunkZ,
+      heights: data.heights,
+      normals: data.normals,
+      colors: data.colors,
+      resources: data.resources,
+      lod: this.getLodLevel(this.getChunkDistance(chunkX, chunkZ)),
+      buildId: 0, // Latest mesh rebuild, older replies are dropped
+    };
+
+    const mesh = new THREE.Mesh(this.createChunkGeometry(chunk), this.material);
+    mesh.name = `terrain-chunk-${key}`;
+    mesh.position.set(
+      chunkX * this.chunkSize + this.chunkSize / 2,
+      0,
+      chunkZ * this.chunkSize + this.chunkSize / 2
+    );
+    mesh.receiveShadow = true;
+    mesh.castShadow = false;
+
+    // Force matrix update so raycasts work immediately
+    mesh.updateMatrix();
+    mesh.updateMatrixWorld(true);
+
+    this.mesh.add(mesh);
+
+    chunk.mesh = mesh;
+    this.chunks.set(key, chunk);
+
+    for (const listener of this.chunkLoadListeners) {
+      listener(chunk);
+    }
+
+    return chunk;
+  }
+
+  unloadChunk(chunk) {
+    this.mesh.remove(chunk.mesh);
+    chunk.mesh.geometry.dispose();
+    this.chunks.delete(chunk.key);
+    if (this.lastQueriedChunk === chunk) {
+      this.lastQueriedChunk = null;
+    }
+
+    for (const listener of this.chunkUnloadListeners) {
+      listener(chunk);
+    }
+  }
+
+  /**
+   * Build a chunk's heightfield mesh at its detail level from the full-resolution grid
+   * Vertices sit on a world-aligned grid so neighbouring chunks share edges exactly
+   */
+  createChunkGeometry(chunk) {
+    const segments = this.chunkSegments;
+    const step = 1 << chunk.lod;
+    const cells = segments / step;
+    const row = cells + 1;
+    const cellSize = this.chunkSize / cells;
+    const half = this.chunkSize / 2;
+    const skirtStart = row * row;
+    const skirtDrop = this.skirtDepth * step;
+
+    const count = skirtStart + row * 4;
+    const positions = new Float32Array(count * 3);
+    const normals = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+
+    const setVertex = (v, ix, iz, drop) => {
+      const source = iz * step * (segments + 1) + ix * step;
+      positions[v * 3] = ix * cellSize - half;
+      positions[v * 3 + 1] = chunk.heights[source] - drop;
+      positions[v * 3 + 2] = iz * cellSize - half;
+      for (let k = 0; k < 3; k++) {
+        normals[v * 3 + k] = chunk.normals[source * 3 + k];
+        colors[v * 3 + k] = chunk.colors[source * 3 + k];
+      }
+    };
+
+    for (let iz = 0; iz <= cells; iz++) {
+      for (let ix = 0; ix <= cells; ix++) {
+        setVertex(iz * row + ix, ix, iz, 0);
+      }
+    }
+
+    // Skirt vertices below the north, south, west and east edges
+    for (let i = 0; i <= cells; i++) {
+      setVertex(skirtStart + i, i, 0, skirtDrop);
+      setVertex(skirtStart + row + i, i, cells, skirtDrop);
+      setVertex(skirtStart + row * 2 + i, 0, i, skirtDrop);
+      setVertex(skirtStart + row * 3 + i, cells, i, skirtDrop);
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute("normal", new THREE.BufferAttribute(normals, 3));
+    geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+    geometry.setIndex(
+      new THREE.BufferAttribute(this.getLodIndices(chunk.lod), 1)
+    );
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+
+    return geometry;
+  }
+
+  /**
+   * Triangle indices for a detail level, built once and shared by all chunks
+   * Cells are split along the same diagonal as PlaneGeometry
+   */
+  getLodIndices(level) {
+    if (this.lodIndices[level]) {
+      return this.lodIndices[level];
+    }
+
+    const cells = this.chunkSegments >> level;
+    const row = cells + 1;
+    const skirtStart = row * row;
+    const indices = [];
+
+    for (let iz = 0; iz < cells; iz++) {
+      for (let ix = 0; ix < cells; ix++) {
+        const a = iz * row + ix;
+        const b = a + row;
+        const c = b + 1;
+        const d = a + 1;
+        indices.push(a, b, d, b, c, d);
+      }
+    }
+
+    // Skirt walls, wound to face out of the chunk
+    for (let i = 0; i < cells; i++) {
+      const north = skirtStart + i;
+      indices.push(i, i + 1, north, i + 1, north + 1, north);
+
+      const edge = cells * row + i;
+      const south = skirtStart + row + i;
+      indices.push(edge, south, edge + 1, edge + 1, south, south + 1);
+
+      const west = skirtStart + row * 2 + i;
+      indices.push(i * row, west, (i + 1) * row, (i + 1) * row, west, west + 1);
+
+      const east = skirtStart + row * 3 + i;
+      const eastEdge = i * row + cells;
+      indices.push(
+        eastEdge,
+        eastEdge + row,
+        east,
+        eastEdge + row,
+        east + 1,
+        east
+      );
+    }
+
+    this.lodIndices[level] = new Uint16Array(indices);
+    return this.lodIndices[level];
+  }
+
+  getChunkKey(chunkX, chunkZ) {
+    return `${chunkX},${chunkZ}`;
+  }
+
+  /**
+   * Get the chunk key a world position belongs to
+   */
+  getChunkKeyAt(worldX, worldZ) {
+    return this.getChunkKey(
+      Math.floor(worldX / this.chunkSize),
+      Math.floor(worldZ / this.chunkSize)
+    );
+  }
+
+  getChunkAt(worldX, worldZ) {
+    return this.chunks.get(this.getChunkKeyAt(worldX, worldZ));
+  }
+
+  isChunkLoadedAt(worldX, worldZ) {
+    return this.chunks.has(this.getChunkKeyAt(worldX, worldZ));
+  }
+
+  getLoadedChunks() {
+    return Array.from(this.chunks.values());
+  }
+
+  onChunkLoaded(callback) {
+    this.chunkLoadListeners.push(callback);
+  }
+
+  onChunkUnloaded(callback) {
+    this.chunkUnloadListeners.push(callback);
+  }
+
+  /**
+   * Interpolate the height grid exactly like the rendered triangles
+   * Each grid cell is split along the same diagonal as PlaneGeometry
+   * Writes height and gradient into this.sample (no allocations)
+   */
+  sampleHeightfield(worldX, worldZ) {
+    const segments = this.chunkSegments;
+    const cellSize = this.chunkSize / segments;
+
+    const gridX = worldX / cellSize;
+    const gridZ = worldZ / cellSize;
+    const ix = Math.floor(gridX);
+    const iz = Math.floor(gridZ);
+    const fx = gridX - ix;
+    const fz = gridZ - iz;
+
+    // A cell never crosses a chunk edge, so one chunk holds all four corners
+    const chunkX = Math.floor(ix / segments);
+    const chunkZ = Math.floor(iz / segments);
+
+    let chunk = this.lastQueriedChunk;
+    if (!chunk || chunk.x !== chunkX || chunk.z !== chunkZ) {
+      chunk = this.chunks.get(this.getChunkKey(chunkX, chunkZ)) || null;
+      this.lastQueriedChunk = chunk;
+    }
+
+    let ha, hb, hc, hd;
+    if (chunk) {
+      const row = segments + 1;
+      const i = (iz - chunkZ * segments) * row + (ix - chunkX * segments);
+      ha = chunk.heights[i];
+      hd = chunk.heights[i + 1];
+      hb = chunk.heights[i + row];
+      hc = chunk.heights[i + row + 1];
+    } else {
+      // Not streamed in yet - sample the generator at the grid corners
+      ha = this.getGridHeight(ix, iz);
+      hd = this.getGridHeight(ix + 1, iz);
+      hb = this.getGridHeight(ix, iz + 1);
+      hc = this.getGridHeight(ix + 1, iz + 1);
+    }
+
+    const sample = this.sample || (this.sample = { height: 0, dx: 0, dz: 0 });
+
+    return WorldGenerator.interpolateCell(
+      ha,
+      hb,
+      hc,
+      hd,
+      fx,
+      fz,
+      cellSize,
+      sample
+    );
+  }
+
+  // Get height from the height grid (matches the rendered mesh)
   getHeightAt(worldX, worldZ) {
-    if (!this.mesh) {
-      console.warn("⚠️ Terrain mesh not ready");
-      return 0;
+    return this.sampleHeightfield(worldX, worldZ).height;
+  }
+
+  /**
+   * Surface normal of the triangle under a point
+   */
+  getNormalAt(worldX, worldZ, target = new THREE.Vector3()) {
+    const sample = this.sampleHeightfield(worldX, worldZ);
+    return target.set(-sample.dx, 1, -sample.dz).normalize();
+  }
+
+  /**
+   * Slope under a point (0 = flat, 1 = vertical)
+   */
+  getSlopeAt(worldX, worldZ) {
+    const sample = this.sampleHeightfield(worldX, worldZ);
+    return 1 - 1 / Math.sqrt(sample.dx * sample.dx + 1 + sample.dz * sample.dz);
+  }
+
+  /**
+   * Surface under a point with the ground height and slope
+   * Returns { type, material, height, slope }; type is a key of surfaceMaterials
+   */
+  getSurfaceMaterialAt(worldX, worldZ) {
+    const sample = this.sampleHeightfield(worldX, worldZ);
+    const height = sample.height;
+    const slope =
+      1 - 1 / Math.sqrt(sample.dx * sample.dx + 1 + sample.dz * sample.dz);
+
+    const type =
+      height < this.getWaterLevelAt(worldX, worldZ)
+        ? "water"
+        : this.generator.classifySurface(worldX, worldZ, height, slope);
+
+    return { type, material: this.surfaceMaterials[type], height, slope };
+  }
+
+  /**
+   * Apply eroded heights and carved river beds to the world and its resident chunks
+   * Resolves once the chunk meshes have been rebuilt
+   */
+  setHydrology(hydrology) {
+    this.hydrology = hydrology;
+    this.worldVersion++;
+
+    const half = hydrology.resolution / 2;
+    const region = {
+      originX: -half,
+      originZ: -half,
+      size: hydrology.resolution + 1,
+      heightOffsets: hydrology.heightOffsets,
+      waterLevels: hydrology.waterLevels,
+    };
+    this.generator.setHydrology(region);
+    this.syncWorker("hydrology", region);
+
+    return this.rebuildAllChunks();
+  }
+
+  /**
+   * Water surface over a point: a lake or river, otherwise the sea
+   */
+  getWaterLevelAt(worldX, worldZ) {
+    return this.generator.getWaterLevelAt(worldX, worldZ);
+  }
+
+  isWaterAt(worldX, worldZ) {
+    return (
+      this.getHeightAt(worldX, worldZ) < this.getWaterLevelAt(worldX, worldZ)
+    );
+  }
+
+  /**
+   * Raise (amount > 0) or lower (amount < 0) the ground around a point
+   * Uses a smooth falloff to the edge of the radius; returns false if nothing changed
+   */
+  deformTerrain(worldX, worldZ, radius, amount) {
+    const cellSize = this.chunkSize / this.chunkSegments;
+    const minX = Math.ceil((worldX - radius) / cellSize);
+    const maxX = Math.floor((worldX + radius) / cellSize);
+    const minZ = Math.ceil((worldZ - radius) / cellSize);
+    const maxZ = Math.floor((worldZ + radius) / cellSize);
+    const changes = [];
+
+    for (let gz = minZ; gz <= maxZ; gz++) {
+      for (let gx = minX; gx <= maxX; gx++) {
+        const dx = gx * cellSize - worldX;
+        const dz = gz * cellSize - worldZ;
+        const t = 1 - (dx * dx + dz * dz) / (radius * radius);
+        if (t <= 0) continue;
+
+        const key = `${gx},${gz}`;
+        const current = this.heightEdits.get(key) || 0;
+        const next = Math.max(
+          -this.maxEditOffset,
+          Math.min(this.maxEditOffset, current + amount * t * t)
+        );
+        if (Math.abs(next - current) < 0.001) continue;
+
+        changes.push([key, Math.abs(next) < 0.001 ? 0 : next]);
+      }
+    }
+
+    if (changes.length === 0) return false;
+
+    this.applyEdits(changes);
+
+    // Height queries see the new ground right away, meshes follow from the worker
+    this.updateChunkHeights(minX, maxX, minZ, maxZ);
+    this.rebuildChunksInGridArea(minX, maxX, minZ, maxZ);
+    this.saveTerrainEdits();
+
+    for (const listener of this.terrainEditListeners) {
+      listener({ x: worldX, z: worldZ, radius });
+    }
+
+    return true;
+  }
+
+  /**
+   * Apply [key, offset] edits here and in the worker (offset 0 removes the edit)
+   */
+  applyEdits(changes) {
+    for (const [key, offset] of changes) {
+      if (offset) {
+        this.heightEdits.set(key, offset);
+      } else {
+        this.heightEdits.delete(key);
+      }
+    }
+
+    this.worldVersion++;
+    this.syncWorker("edits", changes);
+  }
+
+  /**
+   * Refresh the height grids of loaded chunks over a block of grid vertices
+   */
+  updateChunkHeights(minX, maxX, minZ, maxZ) {
+    const segments = this.chunkSegments;
+    const row = segments + 1;
+
+    for (const chunk of this.chunks.values()) {
+      const gridX = chunk.x * segments;
+      const gridZ = chunk.z * segments;
+      const fromX = Math.max(minX, gridX);
+      const toX = Math.min(maxX, gridX + segments);
+      const fromZ = Math.max(minZ, gridZ);
+      const toZ = Math.min(maxZ, gridZ + segments);
+
+      for (let gz = fromZ; gz <= toZ; gz++) {
+        for (let gx = fromX; gx <= toX; gx++) {
+          chunk.heights[(gz - gridZ) * row + (gx - gridX)] = this.getGridHeight(
+            gx,
+            gz
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Rebuild every loaded chunk whose vertices or normals use the given grid vertices
+   */
+  rebuildChunksInGridArea(minX, maxX, minZ, maxZ) {
+    const segments = this.chunkSegments;
+
+    // Chunks sample one vertex past their edge for normals
+    const fromX = Math.ceil((minX - 1 - segments) / segments);
+    const toX = Math.floor((maxX + 1) / segments);
+    const fromZ = Math.ceil((minZ - 1 - segments) / segments);
+    const toZ = Math.floor((maxZ + 1) / segments);
+
+    for (let cz = fromZ; cz <= toZ; cz++) {
+      for (let cx = fromX; cx <= toX; cx++) {
+        const chunk = this.chunks.get(this.getChunkKey(cx, cz));
+        if (chunk) {
+          this.rebuildChunk(chunk);
+        }
+      }
+    }
+  }
+
+  /**
+   * Regenerate a loaded chunk's geometry (heights, normals and colours)
+   * Only the newest rebuild of a chunk is applied
+   */
+  rebuildChunk(chunk) {
+    const buildId = ++chunk.buildId;
+
+    return this.requestGeneration("chunk", {
+      x: chunk.x,
+      z: chunk.z,
+      resources: false,
+    }).then((data) => {
+      if (chunk.buildId !== buildId || this.chunks.get(chunk.key) !== chunk) {
+        return;
+      }
+
+      chunk.heights = data.heights;
+      chunk.normals = data.normals;
+      chunk.colors = data.colors;
+      chunk.mesh.geometry.dispose();
+      chunk.mesh.geometry = this.createChunkGeometry(chunk);
+    });
+  }
+
+  /**
+   * Rebuild every resident chunk, then tell listeners the whole world changed
+   */
+  async rebuildAllChunks() {
+    await Promise.all(
+      this.getLoadedChunks().map((chunk) => this.rebuildChunk(chunk))
+    );
+
+    for (const listener of this.terrainEditListeners) {
+      listener(null);
+    }
+  }
+
+  onTerrainEdited(callback) {
+    this.terrainEditListeners.push(callback);
+  }
+
+  saveTerrainEdits() {
+    try {
+      const edits = [];
+      for (const [key, offset] of this.heightEdits) {
+        edits.push(`${key},${offset.toFixed(3)}`);
+      }
+
+      const saveData = {
+        seed: this.seed,
+        heightmap: this.heightmap ? this.heightmap.name : null,
+        edits: edits,
+        timestamp: Date.now(),
+        version: "1.0",
+      };
+
+      localStorage.setItem("Survival3d_terrain", JSON.stringify(saveData));
+    } catch (error) {
+      console.error("❌ Failed to save terrain edits:", error);
+    }
+  }
+
+  loadTerrainEdits() {
+    try {
+      const savedData = localStorage.getItem("Survival3d_terrain");
+      if (!savedData) return;
+
+      const saveData = JSON.parse(savedData);
+
+      // Edits only make sense on the world they were dug in
+      const heightmap = this.heightmap ? this.heightmap.name : null;
+      if (
+        saveData.seed !== this.seed ||
+        (saveData.heightmap || null) !== heightmap
+      ) {
+        console.log("🌱 Terrain edits belong to another world, ignoring them");
+        return;
+      }
+
+      for (const edit of saveData.edits || []) {
+        const [gx, gz, offset] = edit.split(",");
+        this.heightEdits.set(`${gx},${gz}`, parseFloat(offset));
+      }
+
+      console.log(`📂 Loaded ${this.heightEdits.size} terrain edits`);
+    } catch (error) {
+      console.error("❌ Failed to load terrain edits:", error);
+    }
+  }
+
+  async clearTerrainEdits() {
+    this.applyEdits(Array.from(this.heightEdits.keys(), (key) => [key, 0]));
+    localStorage.removeItem("Survival3d_terrain");
+
+    await this.rebuildAllChunks();
+
+    console.log("🗑️ All terrain edits cleared");
+  }
+
+  /**
+   * Download the height grid (with erosion and edits) around the origin
+   * as a greyscale PNG or raw 16-bit little-endian file
+   * The scale is picked so nothing clips and goes into the file name with the size
+   */
+  exportHeightmap(format = "png", size = null) {
+    const cellSize = this.chunkSize / this.chunkSegments;
+    const area = size || (this.heightmap ? this.heightmap.size : 512);
+    const cells = Math.max(2, Math.round(area / (cellSize * 2)) * 2);
+    const resolution = cells + 1;
+    const half = cells / 2;
+
+    const heights = new Float32Array(resolution * resolution);
+    let highest = 1;
+    for (let z = 0; z < resolution; z++) {
+      for (let x = 0; x < resolution; x++) {
+        const height = this.getGridHeight(x - half, z - half);
+        heights[z * resolution + x] = height;
+        highest = Math.max(highest, Math.abs(height));
+      }
+    }
+
+    // Same mapping as import: -scale..+scale to 0..65535
+    const scale = Math.ceil(highest);
+    const data = new Uint16Array(heights.length);
+    for (let i = 0; i < heights.length; i++) {
+      data[i] = Math.round(((heights[i] / scale + 1) / 2) * 65535);
+    }
+
+    const name = `heightmap-${this.seed}-scale${scale}-size${cells * cellSize}`;
+
+    if (format === "raw") {
+      const buffer = new ArrayBuffer(data.length * 2);
+      const view = new DataView(buffer);
+      data.forEach((value, i) => view.setUint16(i * 2, value, true));
+
+      this.downloadBlob(new Blob([buffer]), `${name}.r16`);
+    } else {
+      const canvas = document.createElement("canvas");
+      canvas.width = resolution;
+      canvas.height = resolution;
+
+      const ctx = canvas.getContext("2d");
+      const image = ctx.createImageData(resolution, resolution);
+      for (let i = 0; i < data.length; i++) {
+        const grey = data[i] >> 8;
+        image.data[i * 4] = grey;
+        image.data[i * 4 + 1] = grey;
+        image.data[i * 4 + 2] = grey;
+        image.data[i * 4 + 3] = 255;
+      }
+      ctx.putImageData(image, 0, 0);
+
+      canvas.toBlob((blob) => this.downloadBlob(blob, `${name}.png`));
+    }
+
+    console.log(
+      `💾 Exported ${resolution}x${resolution} heightmap (scale ${scale}, size ${
+        cells * cellSize
+      })`
+    );
+
+    return {
+      width: resolution,
+      height: resolution,
+      heightScale: scale,
+      size: cells * cellSize,
+    };
+  }
+
+  downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Reference height query by raycasting the chunk mesh
+   * Only used to validate and benchmark getHeightAt
+   */
+  raycastHeightAt(worldX, worldZ) {
+    const chunk = this.getChunkAt(worldX, worldZ);
+    if (!chunk) {
+      return this.getHeightAt(worldX, worldZ);
     }
 
     const rayOrigin = new THREE.Vector3(worldX, 1000, worldZ);
     const rayDirection = new THREE.Vector3(0, -1, 0);
 
     this.raycaster.set(rayOrigin, rayDirection);
-    const intersects = this.raycaster.intersectObject(this.mesh, false);
+    const intersects = this.raycaster.intersectObject(chunk.mesh, false);
 
     if (intersects.length > 0) {
       return intersects[0].point.y;
     }
 
-    return 0;
+    return this.getHeightAt(worldX, worldZ);
   }
 }
@@ -5,6 +5,8 @@
 class TitleScreenManager {
   constructor() {
     this.helpMenuOpen = false;
+    this.worldSeed = this.loadSavedSeed() || SeededRandom.randomSeed();
+    this.heightmap = this.loadSavedHeightmap(); // null = generated terrain
 
     // Initialize help menu FIRST, before title screen
     this.initHelpMenu();
@@ -30,6 +32,23 @@ class TitleScreenManager {
                 <p class="title-tagline">🎮 A 3D Survival Adventure</p>
             </div>
             
+            <div class="title-seed" id="title-seed">
+                <label for="world-seed-input">🌱 World Seed</label>
+                <input type="text" id="world-seed-input" maxlength="32" spellcheck="false" />
+                <button class="seed-random-btn" id="seed-random-btn" title="Generate random seed">🎲</button>
+            </div>
+            
+            <div class="title-seed title-heightmap" id="title-heightmap">
+                <label for="heightmap-file">🗺️ Heightmap</label>
+                <input type="file" id="heightmap-file" accept=".png,.jpg,.jpeg,.raw,.r16" />
+                <label for="heightmap-scale">Scale</label>
+                <input type="number" id="heightmap-scale" min="1" max="500" step="1" title="Height of white (black is the same depth below zero)" />
+                <label for="heightmap-size">Size</label>
+                <input type="number" id="heightmap-size" min="64" max="4096" step="64" title="World units the heightmap spans" />
+                <button class="seed-random-btn" id="heightmap-clear-btn" title="Use generated terrain">✕</button>
+            </div>
+            <p class="heightmap-status" id="heightmap-status"></p>
+            
             <div class="title-buttons">
                 <button class="title-button" id="start-game-btn">
                     <span class="btn-icon">▶</span>
@@ -68,6 +87,21 @@ class TitleScreenManager {
     setTimeout(() => {
       const startBtn = document.getElementById("start-game-btn");
       const helpBtn = document.getElementById("help-btn-title");
+      const seedInput = document.getElementById("world-seed-input");
+      const seedRandomBtn = document.getElementById("seed-random-btn");
+
+      if (seedInput) {
+        seedInput.value = this.worldSeed;
+      }
+
+      if (seedRandomBtn) {
+        seedRandomBtn.addEventListener("click", (e) => {
+          e.preventDefault();
+          if (seedInput) seedInput.value = SeededRandom.randomSeed();
+        });
+      }
+
+      this.setupHeightmapInput();
 
       if (startBtn) {
         startBtn.addEventListener("click", (e) => {
@@ -90,8 +124,30 @@ class TitleScreenManager {
   startGame() {
     const progress = document.getElementById("loading-progress");
     const buttons = document.querySelector(".title-buttons");
+    const seedPanel = document.getElementById("title-seed");
+    const seedInput = document.getElementById("world-seed-input");
+    const heightmapPanel = document.getElementById("title-heightmap");
+    const heightmapStatus = document.getElementById("heightmap-status");
+
+    // Lock in the world seed (blank = random)
+    const enteredSeed = seedInput ? seedInput.value.trim() : "";
+    this.worldSeed = enteredSeed || SeededRandom.randomSeed();
+    this.saveSeed(this.worldSeed);
+    console.log(`🌱 World seed: ${this.worldSeed}`);
+
+    // An imported heightmap replaces the generated landscape
+    if (this.heightmap) {
+      const scaleInput = document.getElementById("heightmap-scale");
+      const sizeInput = document.getElementById("heightmap-size");
+      this.heightmap.heightScale = parseFloat(scaleInput?.value) || 15;
+      this.heightmap.size = parseFloat(sizeInput?.value) || 512;
+    }
+    this.saveHeightmap(this.heightmap);
 
     if (buttons) buttons.style.display = "none";
+    if (seedPanel) seedPanel.style.display = "none";
+    if (heightmapPanel) heightmapPanel.style.display = "none";
+    if (heightmapStatus) heightmapStatus.style.display = "none";
     if (progress) progress.style.display = "block";
 
     // Simulate loading progress
@@ -130,6 +186,210 @@ class TitleScreenManager {
     }, 100);
   }
 
+  /**
+   * Load the seed of the last played world
+   */
+  loadSavedSeed() {
+    try {
+      const savedData = localStorage.getItem("Survival3d_world");
+      if (!savedData) return null;
+
+      const worldData = JSON.parse(savedData);
+      return worldData.seed || null;
+    } catch (error) {
+      console.error("❌ Failed to load world seed:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Remember the seed so the same world loads next time
+   */
+  saveSeed(seed) {
+    try {
+      const worldData = {
+        seed: seed,
+        timestamp: Date.now(),
+        version: "1.0",
+      };
+
+      localStorage.setItem("Survival3d_world", JSON.stringify(worldData));
+    } catch (error) {
+      console.error("❌ Failed to save world seed:", error);
+    }
+  }
+
+  setupHeightmapInput() {
+    const fileInput = document.getElementById("heightmap-file");
+    const scaleInput = document.getElementById("heightmap-scale");
+    const sizeInput = document.getElementById("heightmap-size");
+    const clearBtn = document.getElementById("heightmap-clear-btn");
+
+    if (scaleInput) {
+      scaleInput.value = this.heightmap ? this.heightmap.heightScale : 15;
+    }
+    if (sizeInput) {
+      sizeInput.value = this.heightmap ? this.heightmap.size : 512;
+    }
+    this.updateHeightmapStatus();
+
+    if (fileInput) {
+      fileInput.addEventListener("change", () => {
+        const file = fileInput.files[0];
+        if (file) this.readHeightmapFile(file);
+      });
+    }
+
+    if (clearBtn) {
+      clearBtn.addEventListener("click", (e) => {
+        e.preventDefault();
+        this.heightmap = null;
+        if (fileInput) fileInput.value = "";
+        this.updateHeightmapStatus();
+      });
+    }
+  }
+
+  /**
+   * Decode a PNG/JPG or raw 16-bit heightmap picked on the title screen
+   */
+  readHeightmapFile(file) {
+    const isRaw = /\.(raw|r16)$/i.test(file.name);
+    const reader = new FileReader();
+
+    const fail = (error) => {
+      console.error("❌ Failed to read heightmap:", error);
+      this.updateHeightmapStatus(`❌ ${error.message || "Unreadable image"}`);
+    };
+
+    reader.onerror = () => fail(reader.error);
+    reader.onload = () => {
+      if (isRaw) {
+        try {
+          this.setHeightmap(
+            TerrainGenerator.parseHeightmapRaw(reader.result),
+            file.name
+          );
+        } catch (error) {
+          fail(error);
+        }
+        return;
+      }
+
+      const image = new Image();
+      image.onload = () => {
+        this.setHeightmap(
+          TerrainGenerator.parseHeightmapImage(image),
+          file.name
+        );
+      };
+      image.onerror = () => fail(new Error("Unreadable image"));
+      image.src = reader.result;
+    };
+
+    if (isRaw) {
+      reader.readAsArrayBuffer(file);
+    } else {
+      reader.readAsDataURL(file);
+    }
+  }
+
+  setHeightmap(heightmap, name) {
+    this.heightmap = heightmap;
+    this.heightmap.name = name;
+
+    // Exported heightmaps carry their scale and size in the file name
+    const scale = name.match(/scale(\d+(?:\.\d+)?)/);
+    const size = name.match(/size(\d+)/);
+    const scaleInput = document.getElementById("heightmap-scale");
+    const sizeInput = document.getElementById("heightmap-size");
+    if (scale && scaleInput) scaleInput.value = scale[1];
+    if (size && sizeInput) sizeInput.value = size[1];
+
+    this.updateHeightmapStatus();
+    console.log(
+      `🗺️ Heightmap loaded: ${name} (${heightmap.width}x${heightmap.height})`
+    );
+  }
+
+  updateHeightmapStatus(message) {
+    const status = document.getElementById("heightmap-status");
+    if (!status) return;
+
+    if (message) {
+      status.textContent = message;
+    } else if (this.heightmap) {
+      status.textContent = `🗺️ ${this.heightmap.name} (${this.heightmap.width}x${this.heightmap.height})`;
+    } else {
+      status.textContent = "Terrain generated from the seed";
+    }
+  }
+
+  /**
+   * Load the heightmap the last world was built from
+   */
+  loadSavedHeightmap() {
+    try {
+      const savedData = localStorage.getItem("Survival3d_heightmap");
+      if (!savedData) return null;
+
+      const saveData = JSON.parse(savedData);
+      const binary = atob(saveData.data);
+      const bytes = new Uint8Array(binary.length);
+      for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+      }
+
+      return {
+        name: saveData.name,
+        width: saveData.width,
+        height: saveData.height,
+        heightScale: saveData.heightScale,
+        size: saveData.size,
+        data: new Uint16Array(bytes.buffer),
+      };
+    } catch (error) {
+      console.error("❌ Failed to load heightmap:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Keep the imported heightmap (or forget it when back on generated terrain)
+   */
+  saveHeightmap(heightmap) {
+    try {
+      if (!heightmap) {
+        localStorage.removeItem("Survival3d_heightmap");
+        return;
+      }
+
+      const bytes = new Uint8Array(heightmap.data.buffer);
+      let binary = "";
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(
+          null,
+          bytes.subarray(i, i + 0x8000)
+        );
+      }
+
+      const saveData = {
+        name: heightmap.name,
+        width: heightmap.width,
+        height: heightmap.height,
+        heightScale: heightmap.heightScale,
+        size: heightmap.size,
+        data: btoa(binary),
+        timestamp: Date.now(),
+        version: "1.0",
+      };
+
+      localStorage.setItem("Survival3d_heightmap", JSON.stringify(saveData));
+    } catch (error) {
+      console.error("❌ Failed to save heightmap:", error);
+    }
+  }
+
   initHelpMenu() {
     const helpMenu = document.createElement("div");
     helpMenu.id = "help-menu";
@@ -154,7 +414,7 @@ class TitleScreenManager {
                         <h3>Movement & Combat</h3>
                         <div class="help-grid">
                             <div class="help-item"><kbd>WASD</kbd> Movement</div>
-                            <div class="help-item"><kbd>Space</kbd> Jump</div>
+                            <div class="help-item"><kbd>Space</kbd> Jump / swim up</div>
                             <div class="help-item"><kbd>Mouse</kbd> Look Around</div>
                             <div class="help-item"><kbd>E</kbd> Gather Resources</div>
                             <div class="help-item"><kbd>F</kbd> Attack</div>
@@ -170,6 +430,8 @@ class TitleScreenManager {
                             <div class="help-item"><kbd>TAB</kbd> Crafting Menu</div>
                             <div class="help-item"><kbd>B</kbd> Building Menu</div>
                             <div class="help-item"><kbd>R</kbd> Rotate Structure</div>
+                            <div class="help-item"><kbd>R</kbd> Dig (Shovel)</div>
+                            <div class="help-item"><kbd>Shift+R</kbd> Raise Ground (Shovel)</div>
                             <div class="help-item"><kbd>H</kbd> Help Menu (in-game)</div>
                         </div>
                     </div>
@@ -199,6 +461,13 @@ class TitleScreenManager {
                                     <div class="recipe-req">🪵 Wood x3 + 🪨 Stone x8 + 🪢 Rope x2</div>
                                 </div>
                             </div>
+                            <div class="recipe-item">
+                                <span class="recipe-icon">🪏</span>
+                                <div style="flex: 1;">
+                                    <span class="recipe-name">Shovel</span>
+                                    <div class="recipe-req">🪵 Wood x4 + 🪨 Stone x3 + 🪢 Rope x1</div>
+                                </div>
+                            </div>
                             <div class="recipe-item">
                                 <span class="recipe-icon">🪢</span>
                                 <div style="flex: 1;">
@@ -239,7 +508,7 @@ class TitleScreenManager {
                                 <span class="stat-icon">🍖</span>
                                 <div class="stat-desc">
                                     <strong>Hunger</strong>
-                                    <p>Decreases over time. When empty, you take damage. Hunt creatures for meat.</p>
+                                    <p>Decreases over time. When empty, you take damage. Forage berries and mushrooms, or hunt creatures for meat.</p>
                                 </div>
                             </div>
                             <div class="survival-stat">
@@ -0,0 +1,373 @@
+/**
+ * Water System
+ * Shared animated water material for the sea, rivers and lakes: swells and ripples
+ * on the game clock, colour by depth, foam along the shore, lit by the sky and sun
+ */
+
+class WaterSystem {
+  constructor(scene, terrain) {
+    this.scene = scene;
+    this.terrain = terrain;
+    this.time = 0;
+
+    // Swells that move the surface itself; matched by getWaveHeight
+    // [directionX, directionZ, wavelength, amplitude, speed]
+    this.swells = [
+      [1, 0.3, 38, 0.1, 1.6],
+      [-0.4, 1, 23, 0.06, 1.2],
+    ];
+
+    // Terrain heights around the player, read by the shader for depth and foam
+    // One texel per terrain grid vertex, heights packed into 16 bits (red is
+    // the high byte, green the low one) and interpolated in the shader
+    this.depthMapSize = 256;
+    // Generated heights plus the furthest the player can dig or raise them
+    // and river channels (up to 1.6 deep); heights outside are clamped
+    const reach = terrain.generator.getMaxHeight() + terrain.maxEditOffset + 2;
+    this.depthMapRange = [-reach, reach];
+    this.depthMapOrigin = null; // Grid vertex at texel 0, 0
+    this.depthMapDirty = true;
+    this.depthMapData = new Uint8Array(
+      this.depthMapSize * this.depthMapSize * 4
+    );
+    this.depthMap = new THREE.DataTexture(
+      this.depthMapData,
+      this.depthMapSize,
+      this.depthMapSize,
+      THREE.RGBAFormat
+    );
+    this.depthMap.magFilter = THREE.NearestFilter;
+    this.depthMap.minFilter = THREE.NearestFilter;
+
+    this.material = this.createMaterial();
+    this.material.uniforms.depthMap.value = this.depthMap;
+
+    terrain.onChunkLoaded((chunk) => {
+      if (this.isChunkInDepthMap(chunk)) {
+        this.depthMapDirty = true;
+      }
+    });
+    terrain.onTerrainEdited(() => {
+      this.depthMapDirty = true;
+    });
+
+    console.log("🌊 Water system initialized");
+  }
+
+  createMaterial() {
+    const cellSize = this.terrain.chunkSize / this.terrain.chunkSegments;
+
+    return new THREE.ShaderMaterial({
+      uniforms: THREE.UniformsUtils.merge([
+        THREE.UniformsLib.fog,
+        {
+          time: { value: 0 },
+          swells: {
+            value: this.swells.map((s) => new THREE.Vector4(...s.slice(0, 4))),
+          },
+          swellSpeeds: { value: this.swells.map((s) => s[4]) },
+          depthMap: { value: null },
+          depthMapOrigin: { value: new THREE.Vector2() },
+          depthMapCellSize: { value: cellSize },
+          depthMapSize: { value: this.depthMapSize },
+          depthMapRange: { value: new THREE.Vector2(...this.depthMapRange) },
+          shallowColor: { value: new THREE.Color(0x3fb8c0) },
+          deepColor: { value: new THREE.Color(0x0b3a5c) },
+          foamColor: { value: new THREE.Color(0xf4fbff) },
+          skyColor: { value: new THREE.Color(0x87ceeb) },
+          sunDirection: { value: new THREE.Vector3(0.4, 0.8, 0.2).normalize() },
+          sunColor: { value: new THREE.Color(0xffffee) },
+          sunIntensity: { value: 1 },
+          ambientIntensity: { value: 0.6 },
+        },
+      ]),
+      vertexShader: WaterSystem.vertexShader,
+      fragmentShader: WaterSystem.fragmentShader,
+      transparent: true,
+      side: THREE.DoubleSide,
+      fog: true,
+    });
+  }
+
+  /**
+   * Advance the waves and keep the depth map under the player
+   */
+  update(deltaTime, position) {
+    this.time += deltaTime;
+    this.material.uniforms.time.value = this.time;
+
+    // Recentre in whole chunks so the map is only redrawn now and then
+    const chunkSize = this.terrain.chunkSize;
+    const segments = this.terrain.chunkSegments;
+    const half = this.depthMapSize / 2;
+    const originX = Math.round(position.x / chunkSize) * segments - half;
+    const originZ = Math.round(position.z / chunkSize) * segments - half;
+
+    if (
+      !this.depthMapOrigin ||
+      this.depthMapOrigin.x !== originX ||
+      this.depthMapOrigin.z !== originZ
+    ) {
+      this.depthMapOrigin = { x: originX, z: originZ };
+      this.depthMapDirty = true;
+    }
+
+    if (this.depthMapDirty) {
+      this.updateDepthMap();
+    }
+  }
+
+  /**
+   * Copy resident chunk heights into the depth map; missing chunks read as deep
+   */
+  updateDepthMap() {
+    const size = this.depthMapSize;
+    const segments = this.terrain.chunkSegments;
+    const row = segments + 1;
+    const [low, high] = this.depthMapRange;
+    const scale = 65535 / (high - low);
+    const data = this.depthMapData;
+    const originX = this.depthMapOrigin.x;
+    const originZ = this.depthMapOrigin.z;
+
+    for (let z = 0; z < size; z++) {
+      const gridZ = originZ + z;
+      const chunkZ = Math.floor(gridZ / segments);
+      const localZ = gridZ - chunkZ * segments;
+      let chunk = null;
+
+      for (let x = 0; x < size; x++) {
+        const gridX = originX + x;
+        const chunkX = Math.floor(gridX / segments);
+        if (!chunk || chunk.x !== chunkX) {
+          chunk = this.terrain.chunks.get(
+            this.terrain.getChunkKey(chunkX, chunkZ)
+          ) || { x: chunkX, heights: null };
+        }
+
+        const height = chunk.heights
+          ? chunk.heights[localZ * row + gridX - chunkX * segments]
+          : low;
+        const value = Math.round(
+          Math.max(0, Math.min(65535, (height - low) * scale))
+        );
+        data[(z * size + x) * 4] = value >> 8;
+        data[(z * size + x) * 4 + 1] = value & 255;
+      }
+    }
+
+    const cellSize = this.terrain.chunkSize / segments;
+    this.material.uniforms.depthMapOrigin.value.set(
+      originX * cellSize,
+      originZ * cellSize
+    );
+    this.depthMap.needsUpdate = true;
+    this.depthMapDirty = false;
+  }
+
+  isChunkInDepthMap(chunk) {
+    if (!this.depthMapOrigin) return false;
+
+    const segments = this.terrain.chunkSegments;
+    const x = chunk.x * segments - this.depthMapOrigin.x;
+    const z = chunk.z * segments - this.depthMapOrigin.z;
+    return (
+      x + segments >= 0 &&
+      z + segments >= 0 &&
+      x < this.depthMapSize &&
+      z < this.depthMapSize
+    );
+  }
+
+  /**
+   * Follow the sky colour and sun from EdenfallGame.updateTimeOfDay
+   */
+  setSky(skyColor, sunPosition, sunColor, sunIntensity, ambientIntensity) {
+    const uniforms = this.material.uniforms;
+    uniforms.skyColor.value.copy(skyColor);
+    uniforms.sunDirection.value.copy(sunPosition).normalize();
+    uniforms.sunColor.value.copy(sunColor);
+    uniforms.sunIntensity.value = sunIntensity;
+    uniforms.ambientIntensity.value = ambientIntensity;
+  }
+
+  /**
+   * Offset of the animated surface from its rest level at a world position
+   * Swells die down in the shallows, as in the vertex shader
+   */
+  getWaveHeight(worldX, worldZ) {
+    const depth =
+      this.terrain.getWaterLevelAt(worldX, worldZ) -
+      this.terrain.getHeightAt(worldX, worldZ);
+    const damping = WaterSystem.smoothstep(0, 2, depth);
+    if (damping <= 0) return 0;
+
+    let height = 0;
+    for (const [dx, dz, wavelength, amplitude, speed] of this.swells) {
+      const length = Math.hypot(dx, dz);
+      const k = (Math.PI * 2) / wavelength;
+      const phase = ((dx * worldX + dz * worldZ) / length) * k;
+      height += Math.sin(phase + this.time * speed) * amplitude;
+    }
+    return height * damping;
+  }
+
+  static smoothstep(edge0, edge1, x) {
+    const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+  }
+}
+
+// Ground height from the depth map, bilinear between the grid vertices
+// (texel centres); false off the map
+WaterSystem.depthMapShader = `
+  uniform sampler2D depthMap;
+  uniform vec2 depthMapOrigin;
+  uniform float depthMapCellSize;
+  uniform float depthMapSize;
+  uniform vec2 depthMapRange;
+
+  float readGround(vec2 texel) {
+    vec4 bytes = texture2D(depthMap, (texel + 0.5) / depthMapSize);
+    float value = (bytes.r * 65280.0 + bytes.g * 255.0) / 65535.0;
+    return mix(depthMapRange.x, depthMapRange.y, value);
+  }
+
+  bool sampleGround(vec2 position, out float ground) {
+    vec2 cell = (position - depthMapOrigin) / depthMapCellSize;
+    if (cell.x < 0.0 || cell.y < 0.0 || cell.x > depthMapSize - 1.0 || cell.y > depthMapSize - 1.0) {
+      return false;
+    }
+
+    vec2 base = min(floor(cell), depthMapSize - 2.0);
+    vec2 f = cell - base;
+    ground = mix(
+      mix(readGround(base), readGround(base + vec2(1.0, 0.0)), f.x),
+      mix(readGround(base + vec2(0.0, 1.0)), readGround(base + vec2(1.0, 1.0)), f.x),
+      f.y
+    );
+    return true;
+  }
+`;
+
+WaterSystem.vertexShader = `
+  uniform float time;
+  uniform vec4 swells[2];
+  uniform float swellSpeeds[2];
+  ${WaterSystem.depthMapShader}
+
+  varying vec3 vWorldPosition;
+  varying float vRestHeight;
+
+  #include <common>
+  #include <fog_pars_vertex>
+  #include <logdepthbuf_pars_vertex>
+
+  void main() {
+    vec4 worldPosition = modelMatrix * vec4(position, 1.0);
+    vRestHeight = worldPosition.y;
+
+    // Swells die down in the shallows so the shore and riverbeds stay covered
+    float ground;
+    float damping = 1.0;
+    if (sampleGround(worldPosition.xz, ground)) {
+      damping = smoothstep(0.0, 2.0, vRestHeight - ground);
+    }
+
+    for (int i = 0; i < 2; i++) {
+      vec2 direction = normalize(swells[i].xy);
+      float k = 6.2831853 / swells[i].z;
+      float phase = dot(direction, worldPosition.xz) * k;
+      worldPosition.y += sin(phase + time * swellSpeeds[i]) * swells[i].w * damping;
+    }
+
+    vWorldPosition = worldPosition.xyz;
+    vec4 mvPosition = viewMatrix * worldPosition;
+    gl_Position = projectionMatrix * mvPosition;
+
+    #include <logdepthbuf_vertex>
+    #include <fog_vertex>
+  }
+`;
+
+WaterSystem.fragmentShader = `
+  uniform float time;
+  uniform vec4 swells[2];
+  uniform float swellSpeeds[2];
+  ${WaterSystem.depthMapShader}
+  uniform vec3 shallowColor;
+  uniform vec3 deepColor;
+  uniform vec3 foamColor;
+  uniform vec3 skyColor;
+  uniform vec3 sunDirection;
+  uniform vec3 sunColor;
+  uniform float sunIntensity;
+  uniform float ambientIntensity;
+
+  varying vec3 vWorldPosition;
+  varying float vRestHeight;
+
+  #include <common>
+  #include <fog_pars_fragment>
+  #include <logdepthbuf_pars_fragment>
+
+  // Slope of one travelling sine wave, added into the surface gradient
+  vec2 waveSlope(vec2 position, vec2 direction, float wavelength, float amplitude, float speed) {
+    direction = normalize(direction);
+    float k = 6.2831853 / wavelength;
+    float phase = dot(direction, position) * k + time * speed;
+    return direction * cos(phase) * amplitude * k;
+  }
+
+  void main() {
+    #include <logdepthbuf_fragment>
+
+    vec2 position = vWorldPosition.xz;
+
+    // Swells plus small ripples that only exist in the lighting
+    vec2 slope = vec2(0.0);
+    for (int i = 0; i < 2; i++) {
+      slope += waveSlope(position, swells[i].xy, swells[i].z, swells[i].w, swellSpeeds[i]);
+    }
+    slope += waveSlope(position, vec2(0.7, 0.7), 6.0, 0.05, 2.4);
+    slope += waveSlope(position, vec2(-0.9, 0.3), 3.7, 0.03, 3.1);
+    slope += waveSlope(position, vec2(0.2, -1.0), 2.3, 0.02, 3.7);
+    vec3 normal = normalize(vec3(-slope.x, 1.0, -slope.y));
+
+    // Water depth from the terrain under this point; off the map counts as deep
+    float ground;
+    float depth = 8.0;
+    if (sampleGround(position, ground)) {
+      depth = vRestHeight - ground;
+    }
+
+    float deepness = 1.0 - exp(-max(depth, 0.0) * 0.35);
+    vec3 waterColor = mix(shallowColor, deepColor, deepness);
+
+    // Foam hugs the shore and breaks up into bands that roll in
+    float shore = 1.0 - smoothstep(0.0, 0.6, depth);
+    float bands = sin(depth * 12.0 - time * 1.8 + sin(position.x * 0.35) + cos(position.y * 0.29) * 1.3);
+    float foam = clamp(shore * shore * 1.4 + bands * 0.3 * shore - 0.1, 0.0, 1.0);
+
+    // Sky reflection at grazing angles, sun glint on top
+    vec3 viewDirection = normalize(cameraPosition - vWorldPosition);
+    float fresnel = 0.04 + 0.96 * pow(1.0 - max(dot(viewDirection, normal), 0.0), 5.0);
+    float diffuse = max(dot(normal, sunDirection), 0.0);
+    float glint = pow(max(dot(reflect(-sunDirection, normal), viewDirection), 0.0), 180.0);
+    float sunUp = smoothstep(-0.05, 0.1, sunDirection.y);
+
+    vec3 light = vec3(ambientIntensity) + sunColor * sunIntensity * diffuse * 0.6;
+    vec3 color = waterColor * light;
+    color = mix(color, skyColor, fresnel * 0.7);
+    color += sunColor * sunIntensity * glint * sunUp * 1.5;
+    color = mix(color, foamColor * light, foam);
+
+    float alpha = mix(0.55, 0.9, deepness);
+    alpha = max(alpha, fresnel);
+    alpha = mix(alpha, 0.95, foam);
+
+    gl_FragColor = vec4(color, alpha);
+
+    #include <fog_fragment>
+  }
+`;
@@ -0,0 +1,368 @@
+/**
+ * Weather System
+ * Moves between clear, cloudy, rain, thunderstorm, fog and snow over time,
+ * with precipitation around the camera, fog density, sky tint and temperature
+ */
+
+class WeatherSystem {
+  constructor(scene, camera, terrain) {
+    this.scene = scene;
+    this.camera = camera;
+    this.terrain = terrain; // Saved weather belongs to this world
+
+    // fogScale multiplies the fog distances, cloudiness greys the sky and dims
+    // the sun, precipitation is "rain" or "snow" at the given intensity (0-1),
+    // wind is the strength grass sways with (0-1), fireWarmth scales campfire
+    // warmth, duration is [min, max] seconds
+    this.types = {
+      clear: {
+        name: "Clear",
+        emoji: "☀️",
+        fogScale: 1,
+        cloudiness: 0,
+        temperature: 0,
+        precipitation: null,
+        intensity: 0,
+        wind: 0.3,
+        fireWarmth: 1,
+        duration: [180, 420],
+        next: { clear: 1, cloudy: 3, fog: 1 },
+      },
+      cloudy: {
+        name: "Cloudy",
+        emoji: "☁️",
+        fogScale: 0.85,
+        cloudiness: 0.45,
+        temperature: -2,
+        precipitation: null,
+        intensity: 0,
+        wind: 0.5,
+        fireWarmth: 1,
+        duration: [120, 300],
+        next: { clear: 3, rain: 2, snow: 1, fog: 1 },
+      },
+      rain: {
+        name: "Rain",
+        emoji: "🌧️",
+        fogScale: 0.6,
+        cloudiness: 0.7,
+        temperature: -4,
+        precipitation: "rain",
+        intensity: 0.6,
+        wind: 0.65,
+        fireWarmth: 0.5,
+        duration: [90, 240],
+        next: { cloudy: 3, thunderstorm: 1 },
+      },
+      thunderstorm: {
+        name: "Thunderstorm",
+        emoji: "⛈️",
+        fogScale: 0.45,
+        cloudiness: 0.9,
+        temperature: -6,
+        precipitation: "rain",
+        intensity: 1,
+        wind: 1,
+        fireWarmth: 0.3,
+        lightning: true,
+        duration: [60, 150],
+        next: { rain: 1 },
+      },
+      fog: {
+        name: "Fog",
+        emoji: "🌫️",
+        fogScale: 0.2,
+        cloudiness: 0.5,
+        temperature: -3,
+        precipitation: null,
+        intensity: 0,
+        wind: 0.1,
+        fireWarmth: 0.9,
+        duration: [90, 200],
+        next: { clear: 2, cloudy: 1 },
+      },
+      snow: {
+        name: "Snow",
+        emoji: "🌨️",
+        fogScale: 0.5,
+        cloudiness: 0.6,
+        temperature: -12,
+        precipitation: "snow",
+        intensity: 0.8,
+        wind: 0.45,
+        fireWarmth: 0.6,
+        duration: [90, 240],
+        next: { cloudy: 1 },
+      },
+    };
+
+    this.current = "clear";
+    this.previous = "clear";
+    this.transition = 1; // 0 = previous weather, 1 = current weather
+    this.transitionDuration = 20; // Seconds to blend between states
+    this.timeRemaining = this.rollDuration(this.current);
+    this.saveInterval = 15; // Seconds between saves of the time remaining
+    this.saveTimer = 0;
+
+    // Lightning flash brightness, decays after each strike
+    this.flash = 0;
+
+    // Wind direction (radians) wanders slowly whatever the weather
+    this.windAngle = Math.random() * Math.PI * 2;
+    this.windDirection = new THREE.Vector2(1, 0);
+
+    // Fog distances set in EdenfallGame.init, scaled by the weather
+    this.baseFogNear = scene.fog ? scene.fog.near : 200;
+    this.baseFogFar = scene.fog ? scene.fog.far : 600;
+
+    // Rain and snow are emitted through the particle system into this box
+    // around the camera, up to count particles at full intensity
+    this.precipitationArea = { width: 60, height: 30 };
+    this.precipitationCounts = { rain: 4000, snow: 3000 };
+    this.precipitationCarry = { rain: 0, snow: 0 }; // Fractions of a particle
+
+    this.loadWeather();
+    this.updateDisplay();
+
+    console.log("🌦️ Weather system initialized");
+  }
+
+  rollDuration(type) {
+    const [min, max] = this.types[type].duration;
+    return min + Math.random() * (max - min);
+  }
+
+  /**
+   * Pick the next state from the current one's weighted transitions
+   */
+  pickNext() {
+    const next = this.types[this.current].next;
+    const total = Object.values(next).reduce((sum, w) => sum + w, 0);
+    let roll = Math.random() * total;
+
+    for (const [type, weight] of Object.entries(next)) {
+      roll -= weight;
+      if (roll <= 0) return type;
+    }
+    return this.current;
+  }
+
+  /**
+   * Start blending into a weather state
+   * duration overrides the random length (seconds)
+   */
+  setWeather(type, duration = null) {
+    if (!this.types[type]) return false;
+
+    if (type !== this.current) {
+      this.previous = this.current;
+      this.current = type;
+      this.transition = 0;
+      console.log(`🌦️ Weather changing to ${this.types[type].name}`);
+    }
+    this.timeRemaining = duration || this.rollDuration(type);
+
+    this.updateDisplay();
+    this.saveWeather();
+    return true;
+  }
+
+  /**
+   * A numeric weather property blended between the previous and current state
+   */
+  getBlended(property) {
+    const from = this.types[this.previous][property];
+    const to = this.types[this.current][property];
+    return from + (to - from) * this.transition;
+  }
+
+  getTemperatureOffset() {
+    return this.getBlended("temperature");
+  }
+
+  getFireWarmthFactor() {
+    return this.getBlended("fireWarmth");
+  }
+
+  /**
+   * Current wind as a unit direction on the ground plane and a 0-1 strength
+   */
+  getWind() {
+    this.windDirection.set(Math.cos(this.windAngle), Math.sin(this.windAngle));
+    return { direction: this.windDirection, strength: this.getBlended("wind") };
+  }
+
+  /**
+   * Grey the sky and fog colours by the cloud cover (and lightning)
+   * Returns the factor to dim the sun by
+   */
+  applyToSky(skyColor, fogColor) {
+    const cloudiness = this.getBlended("cloudiness");
+    // Overcast is lighter by day than by night
+    const grey = new THREE.Color(0x6f7a86).multiplyScalar(
+      skyColor.getHSL({}).l * 1.6
+    );
+
+    skyColor.lerp(grey, cloudiness * 0.8);
+    fogColor.lerp(grey, cloudiness * 0.8);
+
+    if (this.flash > 0) {
+      skyColor.lerp(new THREE.Color(0xdde6ff), this.flash * 0.6);
+      fogColor.lerp(new THREE.Color(0xdde6ff), this.flash * 0.4);
+    }
+
+    return 1 - cloudiness * 0.6;
+  }
+
+  update(deltaTime) {
+    this.timeRemaining -= deltaTime;
+    if (this.timeRemaining <= 0) {
+      this.setWeather(this.pickNext());
+    }
+
+    this.saveTimer += deltaTime;
+    if (this.saveTimer >= this.saveInterval) {
+      this.saveTimer = 0;
+      this.saveWeather();
+    }
+
+    if (this.transition < 1) {
+      this.transition = Math.min(
+        1,
+        this.transition + deltaTime / this.transitionDuration
+      );
+    }
+
+    // Fog closes in with the weather
+    if (this.scene.fog) {
+      const scale = this.getBlended("fogScale");
+      this.scene.fog.near = this.baseFogNear * scale;
+      this.scene.fog.far = this.baseFogFar * scale;
+    }
+
+    this.windAngle += Math.sin(performance.now() * 0.00005) * deltaTime * 0.05;
+
+    this.updateLightning(deltaTime);
+    this.updatePrecipitation(deltaTime);
+  }
+
+  updateLightning(deltaTime) {
+    this.flash = Math.max(0, this.flash - deltaTime * 4);
+
+    if (
+      this.types[this.current].lightning &&
+      this.transition === 1 &&
+      Math.random() < deltaTime * 0.08
+    ) {
+      this.flash = 1;
+    }
+  }
+
+  /**
+   * Blend the precipitation of the previous and current weather
+   */
+  updatePrecipitation(deltaTime) {
+    const prev = this.types[this.previous];
+    const curr = this.types[this.current];
+    const t = this.transition;
+    const intensity = { rain: 0, snow: 0 };
+    if (prev.precipitation) {
+      intensity[prev.precipitation] += prev.intensity * (1 - t);
+    }
+    if (curr.precipitation) {
+      intensity[curr.precipitation] += curr.intensity * t;
+    }
+
+    this.emitPrecipitation("rain", intensity.rain, deltaTime);
+    this.emitPrecipitation("snow", intensity.snow, deltaTime);
+  }
+
+  /**
+   * Emit as many particles as expire, keeping count × intensity of them
+   * spread through the box around the camera
+   */
+  emitPrecipitation(type, intensity, deltaTime) {
+    const particles = window.game?.particleSystem;
+    const emitter = particles?.getEmitter(type);
+    if (!emitter || intensity <= 0) {
+      this.precipitationCarry[type] = 0;
+      return;
+    }
+
+    const [minLife, maxLife] = emitter.lifetime;
+    const rate =
+      (this.precipitationCounts[type] * Math.min(1, intensity)) /
+      ((minLife + maxLife) / 2);
+
+    const carry = this.precipitationCarry[type] + rate * deltaTime;
+    const count = Math.floor(carry);
+    this.precipitationCarry[type] = carry - count;
+    if (count === 0) return;
+
+    const { width, height } = this.precipitationArea;
+    particles.emit(type, this.camera.position, count, {
+      area: [width, height, width],
+    });
+  }
+
+  /**
+   * Weather shown next to the clock
+   */
+  updateDisplay() {
+    const weatherEl = document.getElementById("game-weather");
+    if (weatherEl) {
+      const type = this.types[this.current];
+      weatherEl.textContent = `${type.emoji} ${type.name}`;
+    }
+  }
+
+  saveWeather() {
+    try {
+      const saveData = {
+        seed: this.terrain.seed,
+        heightmap: this.terrain.heightmap ? this.terrain.heightmap.name : null,
+        current: this.current,
+        timeRemaining: this.timeRemaining,
+        timestamp: Date.now(),
+        version: "1.0",
+      };
+
+      localStorage.setItem("Survival3d_weather", JSON.stringify(saveData));
+    } catch (error) {
+      console.error("❌ Failed to save weather:", error);
+    }
+  }
+
+  loadWeather() {
+    try {
+      const savedData = localStorage.getItem("Survival3d_weather");
+      if (!savedData) return;
+
+      const saveData = JSON.parse(savedData);
+
+      // Another world starts with its own weather
+      const heightmap = this.terrain.heightmap
+        ? this.terrain.heightmap.name
+        : null;
+      if (
+        saveData.seed !== this.terrain.seed ||
+        (saveData.heightmap || null) !== heightmap
+      ) {
+        console.log("🌱 Saved weather belongs to another world, ignoring it");
+        return;
+      }
+
+      if (!this.types[saveData.current]) return;
+
+      this.current = saveData.current;
+      this.previous = saveData.current;
+      this.transition = 1;
+      this.timeRemaining =
+        saveData.timeRemaining || this.rollDuration(this.current);
+
+      console.log(`📂 Loaded weather: ${this.types[this.current].name}`);
+    } catch (error) {
+      console.error("❌ Failed to load weather:", error);
+    }
+  }
+}
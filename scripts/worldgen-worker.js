@@ -0,0 +1,32 @@
+/**
+ * World Generation Worker
+ * Runs WorldGenerator off the main thread and replies with transferable buffers
+ * Messages: { type: "init" | "edits" | "hydrology" | "chunk" | "baseHeights", id?, payload }
+ */
+
+importScripts("random.js", "worldgen.js");
+
+let generator = null;
+
+self.onmessage = (event) => {
+  const { id, type, payload } = event.data;
+
+  try {
+    if (type === "init") {
+      generator = new WorldGenerator(payload);
+      return;
+    }
+
+    const { result, transfer } = generator.handleMessage(type, payload);
+
+    // State updates (edits, hydrology) don't expect a reply
+    if (id !== undefined) {
+      self.postMessage({ id, result }, transfer);
+    }
+  } catch (error) {
+    console.error(`❌ World generation failed (${type}):`, error);
+    if (id !== undefined) {
+      self.postMessage({ id, error: error.message });
+    }
+  }
+};
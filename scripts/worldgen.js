@@ -0,0 +1,931 @@
+/**
+ * World Generator
+ * Pure world-generation math shared by the main thread and the generation worker:
+ * noise, biomes, vertex colours, chunk height grids and resource placement
+ * No THREE.js or DOM here so it can run inside a Web Worker
+ */
+
+class WorldGenerator {
+  constructor(options) {
+    this.seed = String(options.seed);
+    this.random = new SeededRandom(this.seed);
+    this.heightScale = 15;
+    this.seaLevel = -2.5;
+
+    this.chunkSize = options.chunkSize;
+    this.chunkSegments = options.chunkSegments;
+    this.cellSize = this.chunkSize / this.chunkSegments;
+
+    // Imported heightmap { width, height, data (Uint16Array), heightScale, size }
+    // replaces the noise; black is -heightScale, white is +heightScale
+    this.heightmap = options.heightmap || null;
+    this.heightmapFalloff = 64; // World units from the map edge down to the seabed
+    if (this.heightmap) {
+      this.heightScale = this.heightmap.heightScale;
+    }
+
+    // Player digging: grid vertex "gx,gz" -> height offset
+    this.heightEdits = new Map(options.edits || []);
+
+    // Erosion, river beds and water surfaces from HydrologySystem
+    this.hydrology = null;
+
+    // Biomes classified from temperature and moisture maps
+    this.biomes = this.initializeBiomes();
+
+    // Terrain colour bands
+    this.colors = {
+      deepWater: WorldGenerator.hexToRgb(0x1a4d6d),
+      water: WorldGenerator.hexToRgb(0x2e7d9e),
+      sand: WorldGenerator.hexToRgb(0xd4c4a8),
+      grass: WorldGenerator.hexToRgb(0x4a7c2c),
+      darkGrass: WorldGenerator.hexToRgb(0x365c1f),
+      mountain: WorldGenerator.hexToRgb(0x8b7355),
+      snow: WorldGenerator.hexToRgb(0xf5f5f5),
+    };
+
+    // Resource placement: Poisson-disk candidates at least `spacing` apart,
+    // kept by chance from the biome density and a clustering noise field
+    // density: nodes per 1000 square units at biome density 1 (before clustering)
+    // clusterScale/clusterContrast: size and sharpness of forests, outcrops and meadows
+    // slopeBias: extra chance on sloped ground
+    // altitudeBias: extra chance per unit of height (ores favour the mountains)
+    // biomeType: use another type's biome density (ores follow the rocks)
+    this.placement = {
+      tree: {
+        spacing: 4,
+        density: 3.6,
+        clusterScale: 0.012,
+        clusterContrast: 2.4,
+      },
+      rock: {
+        spacing: 3,
+        density: 1.1,
+        clusterScale: 0.03,
+        clusterContrast: 1.6,
+        slopeBias: 6,
+      },
+      boulder: {
+        spacing: 12,
+        density: 0.12,
+        clusterScale: 0.03,
+        clusterContrast: 1.6,
+        slopeBias: 4,
+        biomeType: "rock",
+      },
+      plant: {
+        spacing: 2,
+        density: 2.4,
+        clusterScale: 0.02,
+        clusterContrast: 1.8,
+      },
+      berry_bush: {
+        spacing: 5,
+        density: 0.8,
+        clusterScale: 0.025,
+        clusterContrast: 2.2,
+      },
+      mushroom: {
+        spacing: 2.5,
+        density: 1.0,
+        clusterScale: 0.04,
+        clusterContrast: 2.4,
+      },
+      coal_ore: {
+        spacing: 6,
+        density: 0.18,
+        clusterScale: 0.03,
+        clusterContrast: 2.4,
+        slopeBias: 5,
+        altitudeBias: 0.18,
+        biomeType: "rock",
+      },
+      copper_ore: {
+        spacing: 6,
+        density: 0.12,
+        clusterScale: 0.03,
+        clusterContrast: 2.6,
+        slopeBias: 5,
+        altitudeBias: 0.22,
+        biomeType: "rock",
+      },
+      iron_ore: {
+        spacing: 6,
+        density: 0.07,
+        clusterScale: 0.03,
+        clusterContrast: 2.8,
+        slopeBias: 5,
+        altitudeBias: 0.3,
+        biomeType: "rock",
+      },
+    };
+    this.poissonTileSize = 256; // Candidate pattern repeats every this many units
+    this.poissonTiles = {};
+  }
+
+  static hexToRgb(hex) {
+    return [
+      ((hex >> 16) & 255) / 255,
+      ((hex >> 8) & 255) / 255,
+      (hex & 255) / 255,
+    ];
+  }
+
+  noise(x, z) {
+    let value = 0;
+    let amplitude = 1;
+    let frequency = 0.02;
+
+    for (let i = 0; i < 5; i++) {
+      value += amplitude * this.simplex2D(x * frequency, z * frequency);
+      amplitude *= 0.5;
+      frequency *= 2;
+    }
+
+    return value;
+  }
+
+  simplex2D(x, z) {
+    const X = Math.floor(x);
+    const Z = Math.floor(z);
+    const xf = x - X;
+    const zf = z - Z;
+
+    const a = this.hash(X, Z);
+    const b = this.hash(X + 1, Z);
+    const c = this.hash(X, Z + 1);
+    const d = this.hash(X + 1, Z + 1);
+
+    const u = xf * xf * (3.0 - 2.0 * xf);
+    const v = zf * zf * (3.0 - 2.0 * zf);
+
+    const result = this.lerp(this.lerp(a, b, u), this.lerp(c, d, u), v);
+
+    return result * 2 - 1;
+  }
+
+  // Integer lattice hash mixed with the world seed
+  hash(x, z) {
+    let h =
+      this.random.seed ^ Math.imul(x, 374761393) ^ Math.imul(z, 668265263);
+    h = Math.imul(h ^ (h >>> 13), 1274126177);
+    h ^= h >>> 16;
+    return (h >>> 0) / 4294967296;
+  }
+
+  lerp(a, b, t) {
+    return a + (b - a) * t;
+  }
+
+  /**
+   * Define all biomes with their ground colour, climate and resource densities
+   * Resource values multiply the base node density (0 = never placed)
+   */
+  initializeBiomes() {
+    return {
+      beach: {
+        id: "beach",
+        name: "Beach",
+        emoji: "🏖️",
+        color: WorldGenerator.hexToRgb(0xd4c4a8),
+        temperature: 2, // °C offset
+        resources: {
+          tree: 0.1,
+          rock: 0.6,
+          plant: 0.3,
+          berry_bush: 0,
+          mushroom: 0,
+        },
+        groundCover: { grass: 0.15, flowers: 0 }, // Grass and flower density
+      },
+      grassland: {
+        id: "grassland",
+        name: "Grassland",
+        emoji: "🌾",
+        color: WorldGenerator.hexToRgb(0x6a9a3a),
+        temperature: 0,
+        resources: {
+          tree: 0.35,
+          rock: 0.8,
+          plant: 1.6,
+          berry_bush: 0.8,
+          mushroom: 0.1,
+        },
+        groundCover: { grass: 1, flowers: 0.8 },
+      },
+      forest: {
+        id: "forest",
+        name: "Forest",
+        emoji: "🌲",
+        color: WorldGenerator.hexToRgb(0x2f5a1e),
+        temperature: -2,
+        resources: {
+          tree: 2.2,
+          rock: 0.7,
+          plant: 1.0,
+          berry_bush: 1.2,
+          mushroom: 1.6,
+        },
+        groundCover: { grass: 0.55, flowers: 0.25 },
+      },
+      swamp: {
+        id: "swamp",
+        name: "Swamp",
+        emoji: "🐸",
+        color: WorldGenerator.hexToRgb(0x4b5a32),
+        temperature: 3,
+        resources: {
+          tree: 0.8,
+          rock: 0.2,
+          plant: 2.0,
+          berry_bush: 0.4,
+          mushroom: 2.0,
+        },
+        groundCover: { grass: 0.8, flowers: 0.1 },
+      },
+      desert: {
+        id: "desert",
+        name: "Desert",
+        emoji: "🏜️",
+        color: WorldGenerator.hexToRgb(0xd8bf84),
+        temperature: 12,
+        resources: {
+          tree: 0,
+          rock: 1.4,
+          plant: 0.2,
+          berry_bush: 0,
+          mushroom: 0,
+        },
+        groundCover: { grass: 0.05, flowers: 0.02 },
+      },
+      tundra: {
+        id: "tundra",
+        name: "Tundra",
+        emoji: "❄️",
+        color: WorldGenerator.hexToRgb(0xdce4e8),
+        temperature: -15,
+        resources: {
+          tree: 0.4,
+          rock: 1.2,
+          plant: 0,
+          berry_bush: 0.3,
+          mushroom: 0,
+        },
+        groundCover: { grass: 0.25, flowers: 0.05 },
+      },
+    };
+  }
+
+  /**
+   * Smooth low-frequency noise for climate maps
+   * The offset moves each map to a different part of the noise field
+   */
+  climateNoise(x, z, offset) {
+    let value = 0;
+    let amplitude = 1;
+    let frequency = 0.004;
+
+    for (let i = 0; i < 3; i++) {
+      value +=
+        amplitude *
+        this.simplex2D((x + offset) * frequency, (z - offset) * frequency);
+      amplitude *= 0.5;
+      frequency *= 2;
+    }
+
+    // Roughly -1..1 to 0..1
+    return Math.max(0, Math.min(1, value * 0.6 + 0.5));
+  }
+
+  /**
+   * Temperature and moisture (0..1) at a point
+   * Higher ground is colder
+   */
+  getClimateAt(worldX, worldZ, height) {
+    const altitudeCooling = Math.max(0, height - 4) * 0.035;
+
+    return {
+      temperature: this.climateNoise(worldX, worldZ, 10000) - altitudeCooling,
+      moisture: this.climateNoise(worldX, worldZ, -20000),
+    };
+  }
+
+  /**
+   * Pick the biome for a point from its height and climate
+   */
+  classifyBiome(worldX, worldZ, height) {
+    if (height < 1.5) {
+      return this.biomes.beach;
+    }
+
+    const climate = this.getClimateAt(worldX, worldZ, height);
+
+    if (climate.temperature < 0.3) {
+      return this.biomes.tundra;
+    }
+    if (climate.temperature > 0.62 && climate.moisture < 0.42) {
+      return this.biomes.desert;
+    }
+    if (climate.moisture > 0.66 && height < 5) {
+      return this.biomes.swamp;
+    }
+    if (climate.moisture > 0.5) {
+      return this.biomes.forest;
+    }
+    return this.biomes.grassland;
+  }
+
+  /**
+   * Height of the generated landscape at a world position
+   */
+  getBaseHeight(worldX, worldZ) {
+    if (this.heightmap) {
+      return this.getHeightmapHeight(worldX, worldZ);
+    }
+    return this.noise(worldX, worldZ) * this.heightScale;
+  }
+
+  /**
+   * Furthest any generated height can be above or below zero
+   */
+  getMaxHeight() {
+    if (this.heightmap) {
+      // Past the map's edge the ground slopes down to the seabed
+      return Math.max(this.heightScale, 5 - this.seaLevel);
+    }
+    // The five noise octaves add up to at most 1 + 1/2 + ... + 1/16
+    return this.heightScale * 1.9375;
+  }
+
+  /**
+   * Bilinear height from the imported heightmap, centred on the origin
+   * Past its edge the ground slopes down to the seabed
+   */
+  getHeightmapHeight(worldX, worldZ) {
+    const map = this.heightmap;
+    const half = map.size / 2;
+    const x = Math.max(-half, Math.min(half, worldX));
+    const z = Math.max(-half, Math.min(half, worldZ));
+
+    const u = (x / map.size + 0.5) * (map.width - 1);
+    const v = (z / map.size + 0.5) * (map.height - 1);
+    const x0 = Math.min(Math.floor(u), map.width - 2);
+    const z0 = Math.min(Math.floor(v), map.height - 2);
+    const fx = u - x0;
+    const fz = v - z0;
+
+    const i = z0 * map.width + x0;
+    const top = map.data[i] + (map.data[i + 1] - map.data[i]) * fx;
+    const bottom =
+      map.data[i + map.width] +
+      (map.data[i + map.width + 1] - map.data[i + map.width]) * fx;
+    const value = (top + (bottom - top) * fz) / 65535;
+    const height = (value * 2 - 1) * this.heightScale;
+
+    const outside = Math.max(Math.abs(worldX), Math.abs(worldZ)) - half;
+    if (outside <= 0) return height;
+
+    const t = Math.min(1, outside / this.heightmapFalloff);
+    const seabed = this.seaLevel - 5;
+    return height + (seabed - height) * t * t * (3 - 2 * t);
+  }
+
+  /**
+   * Height of a grid vertex, including erosion, river beds and player edits
+   */
+  getGridHeight(gridX, gridZ) {
+    let height = this.getBaseHeight(
+      gridX * this.cellSize,
+      gridZ * this.cellSize
+    );
+
+    const i = this.getHydrologyIndex(gridX, gridZ);
+    if (i >= 0) {
+      height += this.hydrology.heightOffsets[i];
+    }
+
+    const offset = this.heightEdits.get(`${gridX},${gridZ}`);
+
+    return offset ? height + offset : height;
+  }
+
+  /**
+   * Generated heights for a square block of grid vertices (for HydrologySystem)
+   */
+  getBaseHeightGrid(originX, originZ, size) {
+    const heights = new Float32Array(size * size);
+
+    for (let z = 0; z < size; z++) {
+      for (let x = 0; x < size; x++) {
+        heights[z * size + x] = this.getBaseHeight(
+          (originX + x) * this.cellSize,
+          (originZ + z) * this.cellSize
+        );
+      }
+    }
+
+    return heights;
+  }
+
+  /**
+   * Take over the simulated region: { originX, originZ, size, heightOffsets, waterLevels }
+   * Origin and size are in grid vertices
+   */
+  setHydrology(hydrology) {
+    this.hydrology = hydrology;
+  }
+
+  /**
+   * Hydrology grid index of a terrain grid vertex, or -1 outside the region
+   */
+  getHydrologyIndex(gridX, gridZ) {
+    const hydrology = this.hydrology;
+    if (!hydrology) return -1;
+
+    const x = gridX - hydrology.originX;
+    const z = gridZ - hydrology.originZ;
+    if (x < 0 || z < 0 || x >= hydrology.size || z >= hydrology.size) {
+      return -1;
+    }
+    return z * hydrology.size + x;
+  }
+
+  /**
+   * Water surface over a point: a lake or river, otherwise the sea
+   */
+  getWaterLevelAt(worldX, worldZ) {
+    const gridX = Math.floor(worldX / this.cellSize);
+    const gridZ = Math.floor(worldZ / this.cellSize);
+    let level = this.seaLevel;
+
+    if (!this.hydrology) return level;
+
+    for (let dz = 0; dz <= 1; dz++) {
+      for (let dx = 0; dx <= 1; dx++) {
+        const i = this.getHydrologyIndex(gridX + dx, gridZ + dz);
+        if (i >= 0 && this.hydrology.waterLevels[i] > level) {
+          level = this.hydrology.waterLevels[i];
+        }
+      }
+    }
+
+    return level;
+  }
+
+  /**
+   * Colour for a vertex at the given height, written into target [r, g, b]
+   */
+  getHeightColor(height, target) {
+    const c = this.colors;
+
+    if (height < -5) {
+      return this.mixColor(c.deepWater, c.deepWater, 0, target);
+    } else if (height < -2.5) {
+      return this.mixColor(c.deepWater, c.water, (height + 5) / 2.5, target);
+    } else if (height < -0.5) {
+      return this.mixColor(c.water, c.sand, (height + 2.5) / 2, target);
+    } else if (height < 2) {
+      return this.mixColor(c.sand, c.grass, (height + 0.5) / 2.5, target);
+    } else if (height < 7) {
+      return this.mixColor(c.grass, c.darkGrass, (height - 2) / 5, target);
+    } else if (height < 11) {
+      return this.mixColor(c.darkGrass, c.mountain, (height - 7) / 4, target);
+    }
+
+    const t = Math.min(1, (height - 11) / 4);
+    return this.mixColor(c.mountain, c.snow, t, target);
+  }
+
+  mixColor(from, to, t, target) {
+    target[0] = from[0] + (to[0] - from[0]) * t;
+    target[1] = from[1] + (to[1] - from[1]) * t;
+    target[2] = from[2] + (to[2] - from[2]) * t;
+    return target;
+  }
+
+  /**
+   * Vertex colour: height bands for water, rock and snow, biome colour on land
+   */
+  getVertexColor(worldX, worldZ, height, target) {
+    this.getHeightColor(height, target);
+
+    if (height < -0.5) {
+      return target;
+    }
+
+    // Biome colour fades in above the waterline and out towards the peaks
+    const biome = this.classifyBiome(worldX, worldZ, height);
+    const fadeIn = Math.min(1, (height + 0.5) / 1.5);
+    const fadeOut = 1 - Math.max(0, Math.min(1, (height - 8) / 4));
+
+    return this.mixColor(target, biome.color, 0.75 * fadeIn * fadeOut, target);
+  }
+
+  /**
+   * Surface underfoot on dry land, matching the colour bands and biome colours
+   * ("sand", "grass", "rock" or "snow")
+   */
+  classifySurface(worldX, worldZ, height, slope) {
+    // Halfway points of the sand-grass, grass-mountain and mountain-snow blends
+    if (height < 0.75) return "sand";
+    if (height >= 13) return "snow";
+    if (height >= 9 || slope > 0.4) return "rock";
+
+    const biome = this.classifyBiome(worldX, worldZ, height);
+    if (biome.id === "beach" || biome.id === "desert") return "sand";
+    if (biome.id === "tundra") return "snow";
+    return "grass";
+  }
+
+  /**
+   * Heights, normals and colours for one chunk, plus its resource nodes
+   * Vertex i sits at grid (i % (segments + 1), floor(i / (segments + 1)))
+   */
+  buildChunk(chunkX, chunkZ, withResources) {
+    const segments = this.chunkSegments;
+    const cellSize = this.cellSize;
+    const row = segments + 1;
+    const gridX = chunkX * segments;
+    const gridZ = chunkZ * segments;
+
+    // Sample heights with a one-cell border so normals match across chunk edges
+    const stride = segments + 3;
+    const samples = new Float32Array(stride * stride);
+    for (let iz = -1; iz <= segments + 1; iz++) {
+      for (let ix = -1; ix <= segments + 1; ix++) {
+        samples[(iz + 1) * stride + (ix + 1)] = this.getGridHeight(
+          gridX + ix,
+          gridZ + iz
+        );
+      }
+    }
+
+    const count = row * row;
+    const heights = new Float32Array(count);
+    const normals = new Float32Array(count * 3);
+    const colors = new Float32Array(count * 3);
+    const color = [0, 0, 0];
+
+    for (let i = 0; i < count; i++) {
+      const ix = i % row;
+      const iz = Math.floor(i / row);
+      const s = (iz + 1) * stride + (ix + 1);
+
+      const height = samples[s];
+      heights[i] = height;
+
+      // Central differences
+      const nx = samples[s - 1] - samples[s + 1];
+      const ny = 2 * cellSize;
+      const nz = samples[s - stride] - samples[s + stride];
+      const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+      normals[i * 3] = nx / length;
+      normals[i * 3 + 1] = ny / length;
+      normals[i * 3 + 2] = nz / length;
+
+      this.getVertexColor(
+        (gridX + ix) * cellSize,
+        (gridZ + iz) * cellSize,
+        height,
+        color
+      );
+      colors[i * 3] = color[0];
+      colors[i * 3 + 1] = color[1];
+      colors[i * 3 + 2] = color[2];
+    }
+
+    const resources = withResources
+      ? this.placeResources(chunkX, chunkZ, heights)
+      : new Float32Array(0);
+
+    return { heights, normals, colors, resources };
+  }
+
+  /**
+   * Height and gradient inside one grid cell, split along the same diagonal
+   * as PlaneGeometry; corners a (x0, z0), b (x0, z1), c (x1, z1), d (x1, z0)
+   */
+  static interpolateCell(ha, hb, hc, hd, fx, fz, cellSize, out) {
+    if (fx + fz <= 1) {
+      // Triangle (a, b, d)
+      out.height = ha + (hd - ha) * fx + (hb - ha) * fz;
+      out.dx = (hd - ha) / cellSize;
+      out.dz = (hb - ha) / cellSize;
+    } else {
+      // Triangle (b, c, d)
+      out.height = hc + (hb - hc) * (1 - fx) + (hd - hc) * (1 - fz);
+      out.dx = (hc - hb) / cellSize;
+      out.dz = (hc - hd) / cellSize;
+    }
+
+    return out;
+  }
+
+  /**
+   * Sample a chunk's height grid at a world position inside it
+   */
+  sampleChunkHeights(heights, chunkX, chunkZ, worldX, worldZ, out) {
+    const segments = this.chunkSegments;
+    const row = segments + 1;
+    const localX = worldX / this.cellSize - chunkX * segments;
+    const localZ = worldZ / this.cellSize - chunkZ * segments;
+    const ix = Math.min(segments - 1, Math.floor(localX));
+    const iz = Math.min(segments - 1, Math.floor(localZ));
+    const i = iz * row + ix;
+
+    return WorldGenerator.interpolateCell(
+      heights[i],
+      heights[i + row],
+      heights[i + row + 1],
+      heights[i + 1],
+      localX - ix,
+      localZ - iz,
+      this.cellSize,
+      out
+    );
+  }
+
+  /**
+   * Resource nodes for a chunk as [typeIndex, x, y, z, ...]
+   * Every chunk has its own seeded stream so nodes come back in the same spots
+   */
+  placeResources(chunkX, chunkZ, heights) {
+    const random = this.random.fork(`nodes:${chunkX},${chunkZ}`);
+    const nodes = [];
+
+    WorldGenerator.resourceTypes.forEach((type, typeIndex) => {
+      this.placeNodes(type, typeIndex, chunkX, chunkZ, heights, random, nodes);
+    });
+
+    return new Float32Array(nodes);
+  }
+
+  /**
+   * Walk the chunk's Poisson-disk candidates and keep them according to the
+   * biome density, the type's clustering noise and (for rocks and ores) the
+   * slope and altitude
+   */
+  placeNodes(type, typeIndex, chunkX, chunkZ, heights, random, nodes) {
+    const rules = this.placement[type];
+    const tile = this.getPoissonTile(type);
+    const points = tile.buckets[tile.getBucket(chunkX, chunkZ)];
+    const baseChance = rules.density / 1000 / tile.density;
+    const sample = { height: 0, dx: 0, dz: 0 };
+
+    for (let i = 0; i < points.length; i += 2) {
+      const x = chunkX * this.chunkSize + points[i];
+      const z = chunkZ * this.chunkSize + points[i + 1];
+      const roll = random.next();
+
+      this.sampleChunkHeights(heights, chunkX, chunkZ, x, z, sample);
+
+      const biome = this.classifyBiome(x, z, sample.height);
+      let chance =
+        baseChance *
+        (biome.resources[rules.biomeType || type] || 0) *
+        this.getClusterWeight(type, x, z);
+
+      if (rules.slopeBias) {
+        const slope =
+          1 - 1 / Math.sqrt(sample.dx * sample.dx + 1 + sample.dz * sample.dz);
+        chance *= Math.min(2, 0.4 + slope * rules.slopeBias);
+      }
+
+      if (rules.altitudeBias) {
+        chance *= Math.min(
+          3,
+          0.1 + Math.max(0, sample.height) * rules.altitudeBias
+        );
+      }
+
+      if (roll >= chance) continue;
+
+      if (this.isValidPlacement(x, z, type, sample)) {
+        nodes.push(typeIndex, x, sample.height, z);
+      }
+    }
+  }
+
+  /**
+   * Clustering noise for a resource type, 0..2 and averaging about 1
+   * High values are forests, outcrops and meadows, zero is a clearing
+   */
+  getClusterWeight(type, worldX, worldZ) {
+    const rules = this.placement[type];
+    const offset = WorldGenerator.resourceTypes.indexOf(type) * 7919;
+    const x = (worldX + offset) * rules.clusterScale;
+    const z = (worldZ - offset) * rules.clusterScale;
+    const value =
+      (this.simplex2D(x, z) * 0.65 + this.simplex2D(x * 2.1, z * 2.1) * 0.35) *
+        0.5 +
+      0.5;
+
+    return (
+      Math.max(0, Math.min(1, 0.5 + (value - 0.5) * rules.clusterContrast)) * 2
+    );
+  }
+
+  /**
+   * Poisson-disk candidates for a type over a tile that wraps at its edges,
+   * bucketed by chunk; tiles side by side keep the spacing across their seams
+   */
+  getPoissonTile(type) {
+    if (this.poissonTiles[type]) {
+      return this.poissonTiles[type];
+    }
+
+    const size = this.poissonTileSize;
+    const chunks = size / this.chunkSize;
+    const points = this.createPoissonPoints(
+      this.placement[type].spacing,
+      size,
+      this.random.fork(`poisson:${type}`)
+    );
+
+    const buckets = Array.from({ length: chunks * chunks }, () => []);
+    for (let i = 0; i < points.length; i += 2) {
+      const bx = Math.floor(points[i] / this.chunkSize);
+      const bz = Math.floor(points[i + 1] / this.chunkSize);
+      buckets[bz * chunks + bx].push(
+        points[i] - bx * this.chunkSize,
+        points[i + 1] - bz * this.chunkSize
+      );
+    }
+
+    const wrap = (v) => ((v % chunks) + chunks) % chunks;
+    this.poissonTiles[type] = {
+      buckets,
+      density: points.length / 2 / (size * size), // Candidates per square unit
+      getBucket: (chunkX, chunkZ) => wrap(chunkZ) * chunks + wrap(chunkX),
+    };
+
+    return this.poissonTiles[type];
+  }
+
+  /**
+   * Bridson's Poisson-disk sampling on a wrapping square, as [x, z, ...]
+   */
+  createPoissonPoints(spacing, size, random) {
+    const cells = Math.ceil(size / (spacing / Math.SQRT2));
+    const cellSize = size / cells; // At most one point per cell
+    const grid = new Int32Array(cells * cells).fill(-1);
+    const points = [];
+    const active = [];
+    const minDistanceSq = spacing * spacing;
+    const attempts = 30;
+
+    const wrapCell = (c) => (c + cells) % cells;
+    const wrapDelta = (d) => {
+      const a = Math.abs(d);
+      return Math.min(a, size - a);
+    };
+
+    const fits = (x, z) => {
+      const cx = Math.floor(x / cellSize);
+      const cz = Math.floor(z / cellSize);
+      for (let dz = -2; dz <= 2; dz++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          const j = grid[wrapCell(cz + dz) * cells + wrapCell(cx + dx)];
+          if (j < 0) continue;
+          const ddx = wrapDelta(points[j * 2] - x);
+          const ddz = wrapDelta(points[j * 2 + 1] - z);
+          if (ddx * ddx + ddz * ddz < minDistanceSq) return false;
+        }
+      }
+      return true;
+    };
+
+    const add = (x, z) => {
+      const index = points.length / 2;
+      points.push(x, z);
+      grid[Math.floor(z / cellSize) * cells + Math.floor(x / cellSize)] = index;
+      active.push(index);
+    };
+
+    add(random.next() * size, random.next() * size);
+
+    while (active.length > 0) {
+      const a = Math.floor(random.next() * active.length);
+      const index = active[a];
+      let placed = false;
+
+      for (let k = 0; k < attempts; k++) {
+        const angle = random.next() * Math.PI * 2;
+        const distance = spacing * (1 + random.next());
+        let x = points[index * 2] + Math.cos(angle) * distance;
+        let z = points[index * 2 + 1] + Math.sin(angle) * distance;
+        x = ((x % size) + size) % size;
+        z = ((z % size) + size) % size;
+
+        if (fits(x, z)) {
+          add(x, z);
+          placed = true;
+          break;
+        }
+      }
+
+      if (!placed) {
+        active[a] = active[active.length - 1];
+        active.pop();
+      }
+    }
+
+    return points;
+  }
+
+  /**
+   * Height, slope and water rules for each resource type
+   */
+  isValidPlacement(x, z, objectType, sample) {
+    const waterLevel = this.getWaterLevelAt(x, z);
+    if (sample.height < waterLevel) return false;
+
+    // Height above the sea, lake or river at this spot
+    const height = sample.height - waterLevel;
+    const slope =
+      1 - 1 / Math.sqrt(sample.dx * sample.dx + 1 + sample.dz * sample.dz);
+
+    if (objectType === "tree") {
+      if (height < 2) return false;
+      if (sample.height > 12) return false;
+      if (slope > 0.25) return false;
+      return true;
+    } else if (
+      objectType === "rock" ||
+      objectType === "boulder" ||
+      objectType.endsWith("_ore")
+    ) {
+      if (height < 0.5) return false;
+      if (slope > 0.5) return false;
+      return true;
+    } else if (objectType === "plant" || objectType === "berry_bush") {
+      if (height < 1.5) return false;
+      if (sample.height > 10) return false;
+      if (slope > 0.35) return false;
+      return true;
+    } else if (objectType === "mushroom") {
+      if (height < 1) return false;
+      if (sample.height > 10) return false;
+      if (slope > 0.4) return false;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Handle a request from TerrainGenerator (posted to the worker, or run
+   * directly when workers are unavailable); returns { result, transfer }
+   */
+  handleMessage(type, payload) {
+    switch (type) {
+      case "chunk": {
+        const chunk = this.buildChunk(payload.x, payload.z, payload.resources);
+        return {
+          result: chunk,
+          transfer: [
+            chunk.heights.buffer,
+            chunk.normals.buffer,
+            chunk.colors.buffer,
+            chunk.resources.buffer,
+          ],
+        };
+      }
+      case "baseHeights": {
+        const heights = this.getBaseHeightGrid(
+          payload.originX,
+          payload.originZ,
+          payload.size
+        );
+        return { result: heights, transfer: [heights.buffer] };
+      }
+      case "edits":
+        for (const [key, offset] of payload) {
+          if (offset) {
+            this.heightEdits.set(key, offset);
+          } else {
+            this.heightEdits.delete(key);
+          }
+        }
+        return { result: true, transfer: [] };
+      case "hydrology":
+        this.setHydrology(payload);
+        return { result: true, transfer: [] };
+      default:
+        throw new Error(`Unknown world generation request: ${type}`);
+    }
+  }
+}
+
+// Index order of resource types in placement buffers
+WorldGenerator.resourceTypes = [
+  "tree",
+  "rock",
+  "plant",
+  "berry_bush",
+  "mushroom",
+  "coal_ore",
+  "copper_ore",
+  "iron_ore",
+  "boulder",
+];